@@ -1,41 +1,85 @@
+import { ConfigValidator } from './config-validator.js';
+import { DEFAULT_LOCALE, getLocale, localizeConfig, t } from '../utils/i18n.js';
+
 export class ConfigManager {
-  constructor(diseaseId = 'aids') {
+  constructor(diseaseId = 'aids', locale = getLocale()) {
     this.diseaseId = diseaseId;
+    this.locale = locale;
+    this.validator = new ConfigValidator();
   }
 
   async load() {
-    const [config, cityEpisodeData] = await Promise.all([
+    const [content, cityEpisodes] = await Promise.all([
       this.loadContentConfig(),
       this.loadCityEpisodeConfig(),
     ]);
-    return this.normalize(config, cityEpisodeData);
+
+    // 不正な設定は既定値で補って表示を続けるが、どこが不正かは必ず知らせる
+    this.validator.report(content.fileName, this.validator.validateContent(content.data));
+    if (cityEpisodes.data) {
+      this.validator.report(cityEpisodes.fileName, this.validator.validateCityEpisodes(cityEpisodes.data));
+    }
+
+    return this.normalize(content.data, cityEpisodes.data);
   }
 
   async loadContentConfig() {
-    const base = import.meta.env.BASE_URL;
-    const response = await fetch(`${base}config/${this.diseaseId}/content.json`);
-    if (!response.ok) {
-      throw new Error(`Failed to load config: ${response.status}`);
+    const result = await this.loadLocalizedFile('content.json');
+    if (!result.data) {
+      throw new Error(`Failed to load config: ${result.status}`);
     }
-    return response.json();
+    return result;
   }
 
   async loadCityEpisodeConfig() {
+    const result = await this.loadLocalizedFile('content-map.json');
+    if (!result.data && result.status !== 404) {
+      throw new Error(`Failed to load city episode config: ${result.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * 表示言語の設定ファイルを読み込む。日本語以外は config/<disease>/<lang>/ の翻訳版を優先し、
+   * 無ければ共通のファイルを使う。どちらも項目ごとの { "ja": …, "en": … } は表示言語の値に解決する。
+   * 戻り値は { fileName, data, status }（見つからない場合 data は null）
+   */
+  async loadLocalizedFile(name) {
     const base = import.meta.env.BASE_URL;
-    const response = await fetch(`${base}config/${this.diseaseId}/content-map.json`);
-    if (!response.ok) {
-      if (response.status === 404) {
-        return null;
-      }
-      throw new Error(`Failed to load city episode config: ${response.status}`);
+    const candidates = this.locale === DEFAULT_LOCALE
+      ? [`config/${this.diseaseId}/${name}`]
+      : [`config/${this.diseaseId}/${this.locale}/${name}`, `config/${this.diseaseId}/${name}`];
+
+    let status = 404;
+    for (const fileName of candidates) {
+      // Accept を指定し、開発サーバーが存在しないファイルに index.html を返さないようにする
+      const response = await fetch(`${base}${fileName}`, { headers: { Accept: 'application/json' } });
+      status = response.status;
+      if (response.status === 404) continue;
+      if (!response.ok) return { fileName, data: null, status };
+      const data = await this.parseJson(response, fileName);
+      return { fileName, data: localizeConfig(data, this.locale), status };
+    }
+    return { fileName: candidates[candidates.length - 1], data: null, status };
+  }
+
+  async parseJson(response, fileName) {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      this.validator.report(fileName, [
+        { path: '', message: `JSONの書式エラー: ${error.message}`, level: 'error' },
+      ]);
+      throw error;
     }
-    return response.json();
   }
 
   normalize(config, cityEpisodeData) {
     const expandedSteps = this.expandSteps(config.steps || [], cityEpisodeData);
     const steps = this.appendFixedClosingStep(expandedSteps);
     return {
+      chapters: this.resolveChapters(config.chapters, steps),
       steps: steps.map((step, index) => ({
         id: step.id || `step${index}`,
         index,
@@ -62,17 +106,73 @@ export class ConfigManager {
       if (isCityEpisodeAnchor) {
         const cityEpisodeSteps = this.buildCityEpisodeSteps(cityEpisodeData);
         if (cityEpisodeSteps.length > 0) {
+          // 章の開始Stepとしてアンカーのidを指定できるようにする
+          cityEpisodeSteps[0].anchorId = step.id;
           expanded.push(...cityEpisodeSteps);
           continue;
         }
       }
 
+      if (step.map?.mode === 'cities-timeline') {
+        expanded.push(this.buildCitiesTimelineStep(step, cityEpisodeData));
+        continue;
+      }
+
       expanded.push(step);
     }
 
     return expanded;
   }
 
+  /**
+   * 章（目次・プログレスバーの区切り）を求める。
+   * content.json の chapters（{ title, startStep }）があればそれを、なければ
+   * 本文に <h2> を持つStepを章の始まりとみなす（都市エピソードは導入Stepの見出しで1章）
+   */
+  resolveChapters(chapterConfig, steps) {
+    const findIndex = (id) => steps.findIndex((step) => step.id === id || step.anchorId === id);
+
+    if (Array.isArray(chapterConfig) && chapterConfig.length > 0) {
+      return chapterConfig
+        .map((chapter, index) => ({
+          id: chapter.id || `chapter-${index + 1}`,
+          title: chapter.title || '',
+          startIndex: findIndex(chapter.startStep),
+        }))
+        .filter((chapter) => {
+          if (chapter.startIndex >= 0) return true;
+          console.warn(`Chapter start step not found: ${chapter.id}`);
+          return false;
+        })
+        .sort((a, b) => a.startIndex - b.startIndex);
+    }
+
+    const chapters = [];
+    steps.forEach((step, index) => {
+      if (step.fixedClosing) return;
+      const heading = /<h2[^>]*>([\s\S]*?)<\/h2>/i.exec(step.text?.content || '');
+      const title = heading ? this.stripTags(heading[1]) : '';
+      if (title) {
+        chapters.push({ id: `chapter-${chapters.length + 1}`, title, startIndex: index });
+      }
+    });
+    return chapters;
+  }
+
+  stripTags(html) {
+    return String(html)
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   buildCityEpisodeSteps(cityEpisodeData) {
     const cities = Array.isArray(cityEpisodeData?.cities) ? cityEpisodeData.cities : [];
     if (cities.length === 0) {
@@ -80,7 +180,7 @@ export class ConfigManager {
     }
 
     const timelineTitle = this.escapeHtml(
-      cityEpisodeData?.timeline?.title || '都市エピソード'
+      cityEpisodeData?.timeline?.title || t('cityEpisode.title')
     );
     const timelineDescription = this.escapeHtml(
       cityEpisodeData?.timeline?.description || ''
@@ -105,6 +205,7 @@ export class ConfigManager {
           lightenAllCountries: true,
           lightenNonVisited: false,
           markers: [],
+          routes: [],
         },
         image: { visible: false },
         scrollHeight: '100vh',
@@ -113,6 +214,8 @@ export class ConfigManager {
 
     const visitedCountries = new Set();
     const visitedCities = [];
+    const routes = this.buildCityRoutes(sortedCities);
+    const showRouteDistance = Boolean(cityEpisodeData?.timeline?.showRouteDistance);
 
     sortedCities.forEach((city, index) => {
       const country = city.country || '';
@@ -151,7 +254,7 @@ export class ConfigManager {
           lightenNonVisited: true,
           markers: visitedCities.map((visitedCity) => ({
             id: visitedCity.id || `${visitedCity.nameEn || visitedCity.name}`,
-            name: visitedCity.name || visitedCity.nameEn || '',
+            name: this.resolveCityName(visitedCity),
             country: visitedCity.country || '',
             longitude: Number(visitedCity.longitude),
             latitude: Number(visitedCity.latitude),
@@ -159,6 +262,13 @@ export class ConfigManager {
             size: visitedCity.style?.size || 7,
             isCurrent: visitedCity.id === city.id,
           })),
+          routes: routes
+            .filter((route) => route.order <= index)
+            .map((route) => ({
+              ...route,
+              isCurrent: route.order === index,
+            })),
+          showRouteDistance,
         },
         image: { visible: false },
         scrollHeight: city.transitions?.scrollHeight || '120vh',
@@ -168,11 +278,111 @@ export class ConfigManager {
     return result;
   }
 
+  /**
+   * 連続する都市間の移動経路（start / same-location・同一座標は経路なし）。
+   * order は到着都市の並び順（0始まり）
+   */
+  buildCityRoutes(sortedCities) {
+    const routes = [];
+    let previous = null;
+
+    sortedCities.forEach((city, index) => {
+      const longitude = Number(city.longitude);
+      const latitude = Number(city.latitude);
+      if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return;
+
+      const routeType = city.transitions?.routeType;
+      if (previous && routeType !== 'start' && routeType !== 'same-location') {
+        const from = [Number(previous.city.longitude), Number(previous.city.latitude)];
+        if (from[0] !== longitude || from[1] !== latitude) {
+          routes.push({
+            id: `${previous.city.id || previous.index + 1}->${city.id || index + 1}`,
+            order: index,
+            from,
+            to: [longitude, latitude],
+            routeType: routeType || 'flight',
+            distance: Number(city.transitions?.distanceFromPrevious) || null,
+          });
+        }
+      }
+      previous = { city, index };
+    });
+
+    return routes;
+  }
+
+  /**
+   * cities-timeline モードのStep。全都市の番号付きマーカー・経路・タイムライン帯を
+   * content-map.json から生成する（content.json 側の map 指定が優先）
+   */
+  buildCitiesTimelineStep(step, cityEpisodeData) {
+    const cities = Array.isArray(cityEpisodeData?.cities) ? cityEpisodeData.cities : [];
+    if (cities.length === 0) {
+      return step;
+    }
+
+    const sortedCities = [...cities].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const markersByLocation = new Map();
+    const countries = new Set();
+    const timelineStrip = [];
+
+    sortedCities.forEach((city, index) => {
+      const number = String(index + 1);
+      timelineStrip.push({
+        id: city.id || number,
+        number,
+        name: this.resolveCityName(city),
+        country: city.country || '',
+      });
+      if (city.country) {
+        countries.add(city.country);
+      }
+
+      const longitude = Number(city.longitude);
+      const latitude = Number(city.latitude);
+      if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return;
+
+      // 同じ地点を再訪した場合は1つのマーカーに番号を併記する
+      const key = `${longitude},${latitude}`;
+      const existing = markersByLocation.get(key);
+      if (existing) {
+        existing.number = `${existing.number}・${number}`;
+        return;
+      }
+      markersByLocation.set(key, {
+        id: city.id || `${city.nameEn || city.name}`,
+        name: this.resolveCityName(city),
+        country: city.country || '',
+        longitude,
+        latitude,
+        color: city.style?.color || null,
+        number,
+        isCurrent: false,
+      });
+    });
+
+    const map = step.map || {};
+    return {
+      ...step,
+      map: {
+        highlightCountries: [...countries],
+        lightenNonVisited: true,
+        markers: [...markersByLocation.values()],
+        routes: this.buildCityRoutes(sortedCities),
+        showRouteDistance: Boolean(cityEpisodeData?.timeline?.showRouteDistance),
+        timelineStrip,
+        fitToMarkers: !Array.isArray(map.center),
+        ...map,
+      },
+    };
+  }
+
   renderCityEpisodeCard(city, index, total) {
     const title = this.escapeHtml(city?.data?.title || city?.name || '');
     const description = this.escapeHtml(city?.data?.description || '');
-    const name = this.escapeHtml(city?.name || city?.nameEn || '');
-    const nameEn = this.escapeHtml(city?.nameEn || '');
+    const name = this.escapeHtml(this.resolveCityName(city));
+    // 日本語版では英語名を併記する
+    const alias = this.locale === DEFAULT_LOCALE ? this.escapeHtml(city?.nameEn || '') : '';
     const url = this.escapeHtml(city?.data?.url || '#');
     const base = import.meta.env.BASE_URL;
     const thumbnail = city?.data?.thumbnail
@@ -184,16 +394,24 @@ export class ConfigManager {
 
     return `
       <article class="city-episode-card">
-        <p class="city-episode-meta">都市エピソード ${index}/${total}</p>
+        <p class="city-episode-meta">${t('cityEpisode.meta', { index, total })}</p>
         ${thumbnailTag}
         <h3 class="city-episode-title">${title}</h3>
-        <p class="city-episode-location">${name}${nameEn && nameEn !== name ? `（${nameEn}）` : ''}</p>
+        <p class="city-episode-location">${name}${alias && alias !== name ? t('cityEpisode.alias', { name: alias }) : ''}</p>
         <p class="city-episode-description">${description}</p>
-        <a class="city-episode-link" href="${url}" target="_blank" rel="noopener noreferrer">外部コンテンツを見る</a>
+        <a class="city-episode-link" href="${url}" target="_blank" rel="noopener noreferrer">${t('cityEpisode.link')}</a>
       </article>
     `;
   }
 
+  /**
+   * 都市の表示名（日本語版は name、それ以外は nameEn を優先）
+   */
+  resolveCityName(city) {
+    const names = this.locale === DEFAULT_LOCALE ? [city?.name, city?.nameEn] : [city?.nameEn, city?.name];
+    return names.find(Boolean) || '';
+  }
+
   resolveCityZoom(city) {
     const routeType = city?.transitions?.routeType;
     if (routeType === 'same-location') {
@@ -0,0 +1,187 @@
+import contentSchema from '../schemas/content.schema.json';
+import contentMapSchema from '../schemas/content-map.schema.json';
+import mapStyleSchema from '../schemas/map-style.schema.json';
+import { validateSchema } from '../utils/schema-validator.js';
+
+// 開発時のオーバーレイに表示中の指摘（ファイル名 → 指摘一覧）
+const overlayGroups = new Map();
+
+export class ConfigValidator {
+  /**
+   * content.json: スキーマ検証 + レイアウト規則（ARCHITECTURE-CHARTS.md「バリデーション方針」）
+   */
+  validateContent(config) {
+    const issues = validateSchema(contentSchema, config);
+    const steps = Array.isArray(config?.steps) ? config.steps : [];
+    const seenIds = new Map();
+
+    steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') return;
+      const path = `steps[${index}]`;
+
+      if (typeof step.id === 'string' && step.id) {
+        if (seenIds.has(step.id)) {
+          issues.push(warning(`${path}.id`, `${path}.id "${step.id}" が steps[${seenIds.get(step.id)}] と重複しています`));
+        } else {
+          seenIds.set(step.id, index);
+        }
+      }
+
+      this.validateChartRules(step.chart, `${path}.chart`, issues);
+
+      if (step.map?.visible && step.map.mode === 'choropleth' && !step.map.dataFile) {
+        issues.push(error(`${path}.map.dataFile`, `${path}.map.dataFile が未指定です（mode: choropleth では必須）`));
+      }
+    });
+
+    const chapters = Array.isArray(config?.chapters) ? config.chapters : [];
+    chapters.forEach((chapter, index) => {
+      const startStep = chapter?.startStep;
+      if (typeof startStep === 'string' && !seenIds.has(startStep)) {
+        issues.push(error(`chapters[${index}].startStep`, `chapters[${index}].startStep "${startStep}" に該当するStepがありません`));
+      }
+    });
+
+    // 編集者が探しやすいよう、Stepのidを添える
+    return issues.map((issue) => {
+      const match = /^steps\[(\d+)\]/.exec(issue.path);
+      const stepId = match ? steps[Number(match[1])]?.id : null;
+      return stepId ? { ...issue, stepId } : issue;
+    });
+  }
+
+  validateChartRules(chart, path, issues) {
+    if (!chart?.visible) return;
+
+    const charts = Array.isArray(chart.charts) ? chart.charts : [];
+    if (charts.length === 0) {
+      if (!chart.dataFile && !hasInlineData(chart)) {
+        issues.push(error(`${path}.charts`, `${path}.charts が未指定です（表示するチャートがありません）`));
+      }
+      return;
+    }
+
+    const layout = chart.layout || (charts.length === 2 ? 'dual' : 'single');
+    if (layout === 'single' && charts.length > 1) {
+      issues.push(warning(`${path}.charts`, `${path}.charts は layout: single では1件が基本です（現在: ${charts.length}件）`));
+    }
+    if (layout === 'dual' && charts.length !== 2) {
+      issues.push(error(`${path}.charts`, `${path}.charts は layout: dual では2件にしてください（現在: ${charts.length}件）`));
+    }
+    if (layout === 'grid' && !chart.grid) {
+      issues.push(error(`${path}.grid`, `${path}.grid が未指定です（layout: grid では必須）`));
+    }
+
+    charts.forEach((item, index) => {
+      const dataFile = item?.dataFile;
+      if (!dataFile && !hasInlineData(item)) {
+        issues.push(error(`${path}.charts[${index}].dataFile`, `${path}.charts[${index}].dataFile が未指定です`));
+      }
+      const dataFormat = item?.dataFormat || 'auto';
+      if (typeof dataFile === 'string' && dataFormat === 'auto' && !/\.(csv|json)$/i.test(dataFile)) {
+        issues.push(error(
+          `${path}.charts[${index}].dataFile`,
+          `${path}.charts[${index}].dataFile の拡張子から形式を判定できません（dataFormat を指定してください）`,
+        ));
+      }
+    });
+  }
+
+  validateCityEpisodes(data) {
+    const issues = validateSchema(contentMapSchema, data);
+    const cities = Array.isArray(data?.cities) ? data.cities : [];
+    const seenIds = new Map();
+
+    cities.forEach((city, index) => {
+      const id = city?.id;
+      if (typeof id !== 'string' || !id) return;
+      if (seenIds.has(id)) {
+        issues.push(error(`cities[${index}].id`, `cities[${index}].id "${id}" が cities[${seenIds.get(id)}] と重複しています`));
+      } else {
+        seenIds.set(id, index);
+      }
+    });
+
+    return issues;
+  }
+
+  validateMapStyle(style) {
+    return validateSchema(mapStyleSchema, style);
+  }
+
+  /**
+   * 指摘をコンソールに出力し、開発時は画面上のオーバーレイにも表示する
+   */
+  report(fileName, issues) {
+    if (!Array.isArray(issues) || issues.length === 0) return;
+
+    for (const issue of issues) {
+      console.warn(`[${fileName}] ${formatIssue(issue)}`);
+    }
+
+    if (import.meta.env.DEV) {
+      overlayGroups.set(fileName, issues);
+      renderOverlay();
+    }
+  }
+}
+
+// データファイルなしで描けるチャート（すべての項目に数値の value を書いた kpi）
+function hasInlineData(chart) {
+  const items = chart?.config?.items;
+  return chart?.type === 'kpi' && Array.isArray(items) && items.length > 0
+    && items.every((item) => typeof item?.value === 'number');
+}
+
+function error(path, message) {
+  return { path, message, level: 'error' };
+}
+
+function warning(path, message) {
+  return { path, message, level: 'warning' };
+}
+
+function formatIssue(issue) {
+  return issue.stepId ? `${issue.message}（Step id: ${issue.stepId}）` : issue.message;
+}
+
+function renderOverlay() {
+  if (typeof document === 'undefined') return;
+
+  let overlay = document.querySelector('.config-issue-overlay');
+  if (!overlay) {
+    overlay = document.createElement('section');
+    overlay.className = 'config-issue-overlay';
+    overlay.setAttribute('role', 'alert');
+    document.body.appendChild(overlay);
+  }
+  overlay.replaceChildren();
+
+  const total = [...overlayGroups.values()].reduce((sum, issues) => sum + issues.length, 0);
+  const header = document.createElement('header');
+  const title = document.createElement('strong');
+  title.textContent = `設定ファイルの問題（${total}件）`;
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.textContent = '×';
+  close.setAttribute('aria-label', '閉じる');
+  close.addEventListener('click', () => overlay.remove());
+  header.append(title, close);
+  overlay.appendChild(header);
+
+  for (const [fileName, issues] of overlayGroups) {
+    const group = document.createElement('div');
+    group.className = 'config-issue-group';
+    const heading = document.createElement('h3');
+    heading.textContent = fileName;
+    const list = document.createElement('ul');
+    for (const issue of issues) {
+      const item = document.createElement('li');
+      item.className = issue.level === 'warning' ? 'is-warning' : 'is-error';
+      item.textContent = formatIssue(issue);
+      list.appendChild(item);
+    }
+    group.append(heading, list);
+    overlay.appendChild(group);
+  }
+}
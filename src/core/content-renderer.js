@@ -1,8 +1,19 @@
+import * as d3 from 'd3';
+import { t } from '../utils/i18n.js';
+import { loadDataset } from '../utils/data-loader.js';
+import { DATA_TOKEN_PATTERN, parseDataToken, resolveDataTokenValue } from '../utils/data-tokens.js';
+import { createNumberFormatter, interpolateCountUp } from '../utils/number-format.js';
+import { motionDuration } from '../utils/motion.js';
+
+const COUNT_UP_DURATION = 1200;
+
 export class ContentRenderer {
   constructor(config) {
     this.config = config;
     this.container = document.getElementById('scroll-content');
     this.stepElements = [];
+    // 本文の数値トークン（{ element, stepIndex, token, value, format }）
+    this.dataValues = [];
   }
 
   render() {
@@ -11,6 +22,7 @@ export class ContentRenderer {
       this.container.appendChild(el);
       this.stepElements.push(el);
     });
+    this.resolveDataValues();
   }
 
   createStepElement(step, index) {
@@ -38,6 +50,7 @@ export class ContentRenderer {
       const card = document.createElement('div');
       card.className = 'text-card';
       card.innerHTML = step.text.content;
+      this.bindDataTokens(card, index);
 
       // データソース表示（チャートconfig内 + ステップレベル）
       const chartSources = step.chart?.charts
@@ -52,7 +65,7 @@ export class ContentRenderer {
         sourceDiv.className = 'chart-source';
         sources.forEach((src) => {
           const label = document.createElement('span');
-          label.textContent = '出典: ';
+          label.textContent = t('common.sourcePrefix');
           sourceDiv.appendChild(label);
           if (src.url) {
             const a = document.createElement('a');
@@ -78,6 +91,73 @@ export class ContentRenderer {
     return section;
   }
 
+  /**
+   * 本文中の {{data:…}} を値の表示先（.data-value）に置き換える。値は resolveDataValues で埋める
+   */
+  bindDataTokens(card, stepIndex) {
+    const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeValue.includes('{{')) textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach((node) => {
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      node.nodeValue.replace(DATA_TOKEN_PATTERN, (match, body, offset) => {
+        fragment.append(node.nodeValue.slice(lastIndex, offset));
+        const element = document.createElement('span');
+        element.className = 'data-value';
+        element.textContent = '―';
+        fragment.append(element);
+        this.dataValues.push({ element, stepIndex, token: parseDataToken(body), source: match, value: null, format: null });
+        lastIndex = offset + match.length;
+        return match;
+      });
+      fragment.append(node.nodeValue.slice(lastIndex));
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * 数値トークンの値をデータから求めて表示する（チャートと同じ読み込み・キャッシュを使う）
+   */
+  async resolveDataValues() {
+    await Promise.all(this.dataValues.map(async (entry) => {
+      const { token, element } = entry;
+      try {
+        entry.value = resolveDataTokenValue(await loadDataset({ dataFile: token.dataFile }), token);
+      } catch (error) {
+        console.warn(`[ContentRenderer] Data load failed for ${entry.source}`, error);
+        return;
+      }
+      if (entry.value == null) {
+        console.warn(`[ContentRenderer] No matching data for ${entry.source}`);
+        return;
+      }
+      entry.format = createNumberFormatter(token);
+      element.textContent = entry.format(entry.value);
+      // データの到着より先にStepが表示されていた場合はここでカウントアップする
+      if (element.closest('.text-card')?.classList.contains('visible')) this.countUp(entry);
+    }));
+  }
+
+  /**
+   * 0 から値までカウントアップする
+   */
+  countUp({ element, value, format }) {
+    if (value == null) return;
+    const interpolate = interpolateCountUp(value);
+    d3.select(element)
+      .interrupt()
+      .transition()
+      .duration(motionDuration(COUNT_UP_DURATION))
+      .ease(d3.easeCubicOut)
+      .tween('text', () => (progress) => {
+        element.textContent = format(interpolate(progress));
+      });
+  }
+
   /**
    * h2テキストを行（文字列）単位で分割し、clip-pathスライドイン用にラップ
    */
@@ -156,6 +236,14 @@ export class ContentRenderer {
       el.style.justifyContent = hMap[h] || 'center';
       el.style.alignItems = vMap[v] || 'center';
     }
+
+    this.dataValues
+      .filter((entry) => entry.stepIndex === index)
+      .forEach((entry) => this.countUp(entry));
+  }
+
+  activateAll() {
+    this.stepElements.forEach((_, index) => this.activateStep(index));
   }
 
   deactivateStep(index) {
@@ -168,6 +256,15 @@ export class ContentRenderer {
     }
   }
 
+  /**
+   * 生成したStep要素を取り除く（生成途中で失敗した後の再試行用）
+   */
+  destroy() {
+    this.stepElements.forEach((el) => el.remove());
+    this.stepElements = [];
+    this.dataValues = [];
+  }
+
   createFixedClosingElement() {
     const wrapper = document.createElement('div');
     wrapper.className = 'fixed-closing-inner';
@@ -181,9 +278,9 @@ export class ContentRenderer {
           />
         </div>
         <div class="fixed-closing-contact">
-          <p>〒107-0052 東京都港区赤坂1-1-12 明産溜池ビル7F (公財)日本国際交流センター 内</p>
-          <p>Email: fgfj&lt;at&gt;jcie.or.jp (&lt;at&gt;を@に変更してお送りください)</p>
-          <p>TEL: 03-6277-7811(代) FAX: 03-6277-6712</p>
+          <p>${t('closing.address')}</p>
+          <p>Email: fgfj&lt;at&gt;jcie.or.jp ${t('closing.emailNote')}</p>
+          <p>${t('closing.phone')}</p>
         </div>
       </div>
       <hr class="fixed-closing-divider" />
@@ -0,0 +1,62 @@
+import { t } from '../utils/i18n.js';
+
+/**
+ * 初期化に失敗したときの表示（読み込みエラーカード・テキストのみ表示の案内）
+ */
+export class FallbackView {
+  constructor(container) {
+    this.container = container;
+    this.errorCard = null;
+  }
+
+  /**
+   * 設定ファイルが読めない等でStepを生成できないときのエラーカード
+   */
+  showLoadError({ onRetry } = {}) {
+    this.hideLoadError();
+
+    const card = document.createElement('section');
+    card.className = 'load-error-card';
+    card.setAttribute('role', 'alert');
+    card.innerHTML = `
+      <h2 class="load-error-title">${t('fallback.loadErrorTitle')}</h2>
+      <p class="load-error-message">${t('fallback.loadErrorMessage')}</p>
+    `;
+
+    if (onRetry) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'load-error-retry';
+      button.textContent = t('fallback.retry');
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        button.textContent = t('fallback.loading');
+        await onRetry();
+        // 再試行でも失敗した場合は新しいカードに置き換わっている
+        button.disabled = false;
+        button.textContent = t('fallback.retry');
+      });
+      card.appendChild(button);
+    }
+
+    this.container?.appendChild(card);
+    this.errorCard = card;
+  }
+
+  hideLoadError() {
+    this.errorCard?.remove();
+    this.errorCard = null;
+  }
+
+  /**
+   * 背景レイヤーやスクロール制御が使えない環境向けに、全Stepの本文を静的に並べる
+   */
+  showTextOnly() {
+    document.body.classList.add('is-text-only');
+
+    const notice = document.createElement('p');
+    notice.className = 'text-only-notice';
+    notice.textContent = t('fallback.textOnly');
+    this.container?.prepend(notice);
+  }
+}
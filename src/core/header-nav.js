@@ -1,9 +1,19 @@
 import { DISEASE_THEMES } from '../utils/theme.js';
+import { bindMotionToggle } from '../utils/motion.js';
+import { bindLocaleSwitch, getLocale, localeUrl, renderLocaleSwitch, t } from '../utils/i18n.js';
 
 export class HeaderNav {
   constructor(container, currentDiseaseId = 'aids') {
     this.container = container;
     this.currentDiseaseId = currentDiseaseId;
+    this.chapters = [];
+    this.tocItems = [];
+    this.onDocumentClick = (event) => {
+      if (!this.container.querySelector('.nav-toc')?.contains(event.target)) this.toggleToc(false);
+    };
+    this.onKeydown = (event) => {
+      if (event.key === 'Escape') this.toggleToc(false);
+    };
   }
 
   render() {
@@ -12,7 +22,13 @@ export class HeaderNav {
     this.container.innerHTML = `
       <div class="nav-inner">
         <div class="nav-logo">
-          <a href="${import.meta.env.BASE_URL}" class="nav-logo-text">データで見る感染症との闘い</a>
+          <a href="${localeUrl(getLocale(), import.meta.env.BASE_URL)}" class="nav-logo-text">${t('site.title')}</a>
+        </div>
+        <div class="nav-toc" hidden>
+          <button type="button" class="nav-toc-toggle" aria-expanded="false" aria-controls="nav-toc-list">
+            ${t('nav.toc')}<span class="nav-toc-current"></span>
+          </button>
+          <ol class="nav-toc-list" id="nav-toc-list" hidden></ol>
         </div>
         <ul class="nav-links">
           ${Object.values(DISEASE_THEMES)
@@ -20,21 +36,81 @@ export class HeaderNav {
               const isActive = d.id === this.currentDiseaseId;
               return `
               <li>
-                <a href="${import.meta.env.BASE_URL}${d.id}/"
+                <a href="${localeUrl(getLocale(), `${import.meta.env.BASE_URL}${d.id}/`)}"
                    class="nav-link${isActive ? ' active' : ''}"
                    style="--link-color: ${d.primary}"
                    data-disease="${d.id}">
-                  ${d.name}
+                  ${t(`disease.${d.id}`)}
                 </a>
               </li>`;
             })
             .join('')}
         </ul>
+        <button type="button" class="motion-toggle" aria-pressed="false">${t('nav.reduceMotion')}</button>
+        ${renderLocaleSwitch()}
       </div>
     `;
 
+    bindMotionToggle(this.container.querySelector('.motion-toggle'));
+    bindLocaleSwitch(this.container);
+
     document.documentElement.style.setProperty('--theme-primary', theme.primary);
     document.documentElement.style.setProperty('--theme-secondary', theme.secondary);
     document.documentElement.style.setProperty('--theme-accent', theme.accent);
   }
+
+  /**
+   * 章の目次を表示する。章を選ぶと onSelect(chapter) を呼ぶ
+   */
+  setChapters(chapters, onSelect) {
+    const toc = this.container.querySelector('.nav-toc');
+    const list = this.container.querySelector('.nav-toc-list');
+    const toggle = this.container.querySelector('.nav-toc-toggle');
+    if (!toc || !list || !toggle) return;
+
+    this.chapters = chapters || [];
+    list.replaceChildren();
+    this.tocItems = this.chapters.map((chapter) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'nav-toc-item';
+      button.textContent = chapter.title;
+      button.addEventListener('click', () => {
+        this.toggleToc(false);
+        onSelect?.(chapter);
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+      return button;
+    });
+
+    toc.hidden = this.chapters.length === 0;
+    toggle.onclick = () => this.toggleToc(list.hidden);
+    document.addEventListener('click', this.onDocumentClick);
+    document.addEventListener('keydown', this.onKeydown);
+  }
+
+  toggleToc(open) {
+    const list = this.container.querySelector('.nav-toc-list');
+    const toggle = this.container.querySelector('.nav-toc-toggle');
+    if (!list || !toggle) return;
+    list.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(Boolean(open)));
+  }
+
+  setActiveChapter(index) {
+    this.tocItems.forEach((button, i) => {
+      button.classList.toggle('active', i === index);
+      if (i === index) {
+        button.setAttribute('aria-current', 'true');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+    const current = this.container.querySelector('.nav-toc-current');
+    if (current) {
+      current.textContent = this.chapters[index]?.title ? t('nav.tocCurrent', { title: this.chapters[index].title }) : '';
+    }
+  }
 }
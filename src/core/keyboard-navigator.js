@@ -0,0 +1,92 @@
+// 前後のStepへ送るキー（プレゼンテーションモードではクリッカーが送る左右キーも使う）
+const NEXT_KEYS = ['ArrowDown', 'PageDown'];
+const PREV_KEYS = ['ArrowUp', 'PageUp'];
+const PRESENTATION_NEXT_KEYS = ['ArrowRight'];
+const PRESENTATION_PREV_KEYS = ['ArrowLeft'];
+
+/**
+ * キーボードでStep単位に移動する。
+ * 矢印・PageUp/PageDown・Spaceで前後のStepへスクロールし、Home/Endで先頭・最後のStepへ移動する
+ */
+export class KeyboardNavigator {
+  constructor({ stepCount, getCurrentIndex, onStep, onJump, presentation = false }) {
+    this.stepCount = stepCount;
+    this.getCurrentIndex = getCurrentIndex;
+    this.onStep = onStep;
+    this.onJump = onJump;
+    this.presentation = presentation;
+    // スクロール中に続けて押されたときは、移動先のStepを起点に数える
+    this.pendingIndex = null;
+    this.onKeydown = (event) => this.handleKeydown(event);
+  }
+
+  init() {
+    window.addEventListener('keydown', this.onKeydown);
+  }
+
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (isEditable(event.target)) return;
+
+    const action = this.resolveAction(event);
+    if (!action) return;
+
+    const current = this.pendingIndex ?? this.getCurrentIndex() ?? -1;
+    const last = this.stepCount - 1;
+    let target;
+    if (action === 'next') target = current + 1;
+    if (action === 'prev') target = current - 1;
+    if (action === 'first') target = 0;
+    if (action === 'last') target = last;
+
+    // 端に達したらブラウザ標準のスクロールに任せる
+    if (target < 0 || target > last || target === current) return;
+    event.preventDefault();
+
+    if (action === 'first' || action === 'last') {
+      this.pendingIndex = null;
+      this.onJump(target);
+      return;
+    }
+
+    this.pendingIndex = target;
+    Promise.resolve(this.onStep(target)).finally(() => {
+      if (this.pendingIndex === target) this.pendingIndex = null;
+    });
+  }
+
+  resolveAction(event) {
+    const { key } = event;
+    if (NEXT_KEYS.includes(key) || (this.presentation && PRESENTATION_NEXT_KEYS.includes(key))) return 'next';
+    if (PREV_KEYS.includes(key) || (this.presentation && PRESENTATION_PREV_KEYS.includes(key))) return 'prev';
+    if (key === ' ') {
+      // ボタン・リンク上のSpaceは本来の操作（クリック）を優先する
+      if (isInteractive(event.target)) return null;
+      return event.shiftKey ? 'prev' : 'next';
+    }
+    if (key === 'Home') return 'first';
+    if (key === 'End') return 'last';
+    return null;
+  }
+
+  destroy() {
+    window.removeEventListener('keydown', this.onKeydown);
+    this.pendingIndex = null;
+  }
+}
+
+/**
+ * URLクエリ `?present=1` でプレゼンテーションモードを有効にする
+ */
+export function isPresentationMode() {
+  const value = new URLSearchParams(window.location.search).get('present');
+  return value === '1' || value === 'true';
+}
+
+function isEditable(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+function isInteractive(target) {
+  return Boolean(target?.closest?.('a[href], button, summary, [role="button"]'));
+}
@@ -14,6 +14,8 @@ export class LayerOrchestrator {
     this.chartLayer = null;
     this.activeLayer = null;
     this.activeChartSpanId = null;
+    // 表示中のStep（離れたStepから遅れて届いたStep内進捗を無視するため）
+    this.activeStepIndex = null;
   }
 
   async init() {
@@ -26,10 +28,17 @@ export class LayerOrchestrator {
     // WebGLレイヤー初期化
     const canvas = this.elements.webgl;
     if (canvas) {
-      this.webglLayer = new WebGLLayer(canvas);
-      this.webglLayer.init();
-      canvas.classList.add('active');
-      this.activeLayer = 'webgl';
+      // WebGL非対応環境では背景なしで続行する
+      try {
+        this.webglLayer = new WebGLLayer(canvas);
+        this.webglLayer.init();
+        canvas.classList.add('active');
+        this.activeLayer = 'webgl';
+      } catch (error) {
+        console.warn('WebGL layer init failed (continuing without background):', error);
+        this.webglLayer?.destroy();
+        this.webglLayer = null;
+      }
     }
 
     // 画像レイヤー初期化
@@ -62,7 +71,8 @@ export class LayerOrchestrator {
     return { map: mapHost, chart: chartHost };
   }
 
-  transition(stepConfig, direction) {
+  transition(stepConfig, direction, stepIndex = null) {
+    this.activeStepIndex = stepIndex;
     const target = this.resolveActiveLayer(stepConfig);
 
     // 前のアクティブレイヤーを非表示
@@ -106,7 +116,7 @@ export class LayerOrchestrator {
       if (stepConfig.map?.visible) {
         this.chartLayer?.clear();
         this.activeChartSpanId = null;
-        this.mapLayer?.render(stepConfig.map);
+        this.mapLayer?.render(stepConfig.map, { direction });
       } else if (stepConfig.chart?.visible) {
         this.mapLayer?.clear();
         const spanId = this.resolveChartSpanId(stepConfig.chart);
@@ -116,6 +126,7 @@ export class LayerOrchestrator {
         this.chartLayer?.render(stepConfig.chart, {
           transitionFromPrevious: Boolean(shouldReuse),
           spanId,
+          direction,
           textPosition: stepConfig.text?.visible ? stepConfig.text.position : null,
         }).catch((error) => {
           console.error('Chart render failed:', error);
@@ -156,6 +167,15 @@ export class LayerOrchestrator {
     this.webglLayer?.setProgress(progress);
   }
 
+  updateStepProgress(stepIndex, progress) {
+    // 離れたStepの ScrollTrigger から遅れて届いた進捗は、表示中のStepに適用しない
+    if (stepIndex !== this.activeStepIndex) return;
+    // 各レイヤーへStep内進捗を渡す（非表示のレイヤーは値を保持するだけ）
+    this.webglLayer?.setStepProgress(progress);
+    this.mapLayer?.setStepProgress(progress);
+    this.chartLayer?.setStepProgress(progress);
+  }
+
   setThemeColor(hex) {
     this.webglLayer?.setThemeColor(hex);
   }
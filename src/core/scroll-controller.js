@@ -1,17 +1,27 @@
 import Lenis from 'lenis';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { isReducedMotion, onMotionChange } from '../utils/motion.js';
+import { t } from '../utils/i18n.js';
 
 gsap.registerPlugin(ScrollTrigger);
 
 export class ScrollController {
-  constructor({ onStepEnter, onStepLeave, onProgress }) {
+  constructor({ onStepEnter, onStepLeave, onProgress, onStepProgress }) {
     this.onStepEnter = onStepEnter;
     this.onStepLeave = onStepLeave;
     this.onProgress = onProgress;
+    this.onStepProgress = onStepProgress;
     this.lenis = null;
     this.triggers = [];
     this.progressBar = null;
+    this.progressTrigger = null;
+    this.chapterMarkers = [];
+    this.silent = false;
+    // 最後に通知したStep（ジャンプ時の方向の判定に使う）
+    this.activeIndex = null;
+    this.unsubscribeMotion = null;
+    this.onRefresh = () => this.layoutChapterMarkers();
   }
 
   init() {
@@ -21,9 +31,13 @@ export class ScrollController {
   }
 
   initLenis() {
+    // 動きを抑える設定ではホイールの慣性スクロールを切り、ブラウザ標準のスクロールにする
     this.lenis = new Lenis({
       lerp: 0.1,
-      smoothWheel: true,
+      smoothWheel: !isReducedMotion(),
+    });
+    this.unsubscribeMotion = onMotionChange((reduced) => {
+      if (this.lenis) this.lenis.options.smoothWheel = !reduced;
     });
 
     // LenisをGSAP tickerに接続
@@ -50,17 +64,21 @@ export class ScrollController {
         trigger: step,
         start: 'top center',
         end: 'bottom center',
-        onEnter: () => this.onStepEnter(index, 'down'),
-        onEnterBack: () => this.onStepEnter(index, 'up'),
-        onLeave: () => this.onStepLeave(index, 'down'),
-        onLeaveBack: () => this.onStepLeave(index, 'up'),
+        onEnter: () => !this.silent && this.enterStep(index, 'down'),
+        onEnterBack: () => !this.silent && this.enterStep(index, 'up'),
+        onLeave: () => !this.silent && this.onStepLeave(index, 'down'),
+        onLeaveBack: () => !this.silent && this.onStepLeave(index, 'up'),
+        // Step内の進捗（0..1）。アクティブなStepのみ通知する
+        onUpdate: (self) => {
+          if (self.isActive && !this.silent) this.onStepProgress?.(index, self.progress);
+        },
       });
 
       this.triggers.push(trigger);
     });
 
     // 全体進捗のscrub
-    ScrollTrigger.create({
+    this.progressTrigger = ScrollTrigger.create({
       trigger: '#scroll-content',
       start: 'top top',
       end: 'bottom bottom',
@@ -72,6 +90,98 @@ export class ScrollController {
     });
   }
 
+  /**
+   * 指定Stepへ即座に移動する。途中のStepの通知は抑止し、移動先のStepだけを通知し直す
+   */
+  jumpToStep(index) {
+    const trigger = this.triggers[index];
+    if (!trigger?.trigger || !this.lenis) return false;
+
+    this.silent = true;
+    try {
+      // Step生成直後はLenisのスクロール上限・トリガー位置が古いため測り直す
+      this.lenis.resize();
+      ScrollTrigger.refresh();
+      this.lenis.scrollTo(trigger.trigger, { immediate: true, force: true });
+      ScrollTrigger.update();
+    } finally {
+      this.silent = false;
+    }
+
+    // 表示中のStepより前へ戻るジャンプは、上向きのスクロールと同じく 'up' で通知する
+    this.enterStep(index, this.activeIndex != null && index < this.activeIndex ? 'up' : 'down');
+    this.onStepProgress?.(index, trigger.progress);
+    return true;
+  }
+
+  enterStep(index, direction) {
+    this.activeIndex = index;
+    this.onStepEnter(index, direction);
+  }
+
+  /**
+   * 指定Stepの先頭までスムーズスクロールする。途中のStepも通常のスクロールと同じく通知される。
+   * 移動が終わると解決するPromiseを返す
+   */
+  scrollToStep(index, { duration = 1 } = {}) {
+    const trigger = this.triggers[index];
+    if (!trigger?.trigger || !this.lenis) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      this.lenis.scrollTo(trigger.trigger, {
+        duration,
+        immediate: isReducedMotion(),
+        // 移動中のホイール操作で目標を見失わないよう固定する
+        lock: true,
+        force: true,
+        onComplete: () => resolve(true),
+      });
+    });
+  }
+
+  /**
+   * 進捗バー上に章の開始位置を示すマーカーを置く。クリックで onSelect(chapter) を呼ぶ
+   */
+  setChapterMarkers(chapters, onSelect) {
+    const container = this.progressBar?.parentElement;
+    if (!container) return;
+
+    this.chapterMarkers.forEach(({ element }) => element.remove());
+    this.chapterMarkers = (chapters || []).map((chapter) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = 'scroll-progress-marker';
+      element.title = chapter.title;
+      element.setAttribute('aria-label', t('progress.chapterMarker', { title: chapter.title }));
+      element.addEventListener('click', () => onSelect?.(chapter));
+      container.appendChild(element);
+      return { element, chapter };
+    });
+
+    // トリガー位置はリサイズや画像読み込みで変わるため、refreshのたびに置き直す
+    ScrollTrigger.removeEventListener('refresh', this.onRefresh);
+    ScrollTrigger.addEventListener('refresh', this.onRefresh);
+    this.layoutChapterMarkers();
+  }
+
+  layoutChapterMarkers() {
+    const progress = this.progressTrigger;
+    if (!progress || this.chapterMarkers.length === 0) return;
+
+    const range = progress.end - progress.start;
+    this.chapterMarkers.forEach(({ element, chapter }) => {
+      const trigger = this.triggers[chapter.startIndex];
+      const ratio = trigger && range > 0 ? (trigger.start - progress.start) / range : 0;
+      element.style.left = `${Math.min(Math.max(ratio, 0), 1) * 100}%`;
+    });
+  }
+
+  setActiveChapter(index) {
+    this.chapterMarkers.forEach(({ element }, i) => {
+      element.classList.toggle('active', i === index);
+    });
+  }
+
   updateProgressBar(progress) {
     if (this.progressBar) {
       this.progressBar.style.width = `${progress * 100}%`;
@@ -79,10 +189,15 @@ export class ScrollController {
   }
 
   destroy() {
-    this.triggers.forEach((t) => t.kill());
+    this.triggers.forEach((trigger) => trigger.kill());
     this.triggers = [];
+    this.progressTrigger = null;
+    this.chapterMarkers = [];
+    ScrollTrigger.removeEventListener('refresh', this.onRefresh);
+    this.unsubscribeMotion?.();
+    this.unsubscribeMotion = null;
     this.lenis?.destroy();
-    ScrollTrigger.getAll().forEach((t) => t.kill());
+    ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
     if (this.progressBar) {
       this.progressBar.parentElement?.remove();
       this.progressBar = null;
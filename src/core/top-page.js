@@ -1,5 +1,7 @@
 import { DISEASE_THEMES } from '../utils/theme.js';
 import { GlobeAnimation } from '../layers/globe-animation.js';
+import { bindMotionToggle } from '../utils/motion.js';
+import { bindLocaleSwitch, getLocale, localeUrl, renderLocaleSwitch, t } from '../utils/i18n.js';
 
 export class TopPage {
   constructor(container) {
@@ -13,23 +15,30 @@ export class TopPage {
     this.container.innerHTML = `
       <div id="globe-container"></div>
       <div class="top-page">
-        <p class="top-lead">JCIEスペシャルコンテンツ</p>
-        <h1 class="top-title">「感染症との闘い」</h1>
-        <p class="top-subtitle">エイズ、結核、マラリア。人類を脅かす感染症の現状と課題をデータで紐解く。</p>
+        <p class="top-lead">${t('top.lead')}</p>
+        <h1 class="top-title">${t('top.title')}</h1>
+        <p class="top-subtitle">${t('top.subtitle')}</p>
         <span id="globe-country-name"></span>
         <div class="top-disease-grid">
           ${diseases
             .map(
               (d) => `
-            <a href="${import.meta.env.BASE_URL}${d.id}/" class="top-disease-card" style="--card-color: ${d.primary}">
-              <span class="top-disease-name">${d.name}</span>
+            <a href="${localeUrl(getLocale(), `${import.meta.env.BASE_URL}${d.id}/`)}" class="top-disease-card" style="--card-color: ${d.primary}">
+              <span class="top-disease-name">${t(`disease.${d.id}`)}</span>
+              ${d.locales.includes(getLocale()) ? '' : `<span class="top-disease-note">${t('top.japaneseOnly')}</span>`}
             </a>`
             )
             .join('')}
         </div>
+        <div class="top-controls">
+          <button type="button" class="motion-toggle" aria-pressed="false">${t('nav.reduceMotion')}</button>
+          ${renderLocaleSwitch()}
+        </div>
       </div>
     `;
 
+    bindMotionToggle(this.container.querySelector('.motion-toggle'));
+    bindLocaleSwitch(this.container);
     this.initGlobe();
   }
 
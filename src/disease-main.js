@@ -4,6 +4,10 @@ import { ScrollController } from './core/scroll-controller.js';
 import { LayerOrchestrator } from './core/layer-orchestrator.js';
 import { ContentRenderer } from './core/content-renderer.js';
 import { HeaderNav } from './core/header-nav.js';
+import { FallbackView } from './core/fallback-view.js';
+import { KeyboardNavigator, isPresentationMode } from './core/keyboard-navigator.js';
+import { applyDocumentLocale, setAvailableLocales, t } from './utils/i18n.js';
+import { getTheme } from './utils/theme.js';
 
 class DiseaseApp {
   constructor() {
@@ -11,46 +15,94 @@ class DiseaseApp {
     this.scrollController = null;
     this.layerOrchestrator = null;
     this.contentRenderer = null;
+    this.headerNav = null;
+    this.keyboardNavigator = null;
+    this.presentation = isPresentationMode();
+    this.fallbackView = new FallbackView(document.getElementById('scroll-content'));
+    this.activeStepIndex = null;
   }
 
   async init() {
+    // data-disease 属性から disease ID を取得
+    const diseaseId = document.body.dataset.disease;
+    if (!diseaseId) {
+      console.error('data-disease attribute not found on <body>');
+      return;
+    }
+
+    // 本文を用意していない言語が選ばれていれば、日本語で表示する（切り替えも出さない）
+    setAvailableLocales(getTheme(diseaseId).locales);
+    applyDocumentLocale(t('site.pageTitle', { disease: t(`disease.${diseaseId}`), site: t('site.title') }));
+
+    // プレゼンテーションモード（?present=1）: 各Stepを1画面に収める
+    document.body.classList.toggle('is-presentation', this.presentation);
+
+    // 1. ヘッダーナビゲーション
+    this.headerNav = new HeaderNav(
+      document.getElementById('header-nav'),
+      diseaseId
+    );
+    this.headerNav.render();
+
+    await this.start(diseaseId);
+  }
+
+  async start(diseaseId) {
+    // 2-3. 設定読み込み（disease別）とコンテンツ（Step要素）の生成。
+    // 失敗時は再試行できるエラーカードを表示
     try {
-      // data-disease 属性から disease ID を取得
-      const diseaseId = document.body.dataset.disease;
-      if (!diseaseId) {
-        console.error('data-disease attribute not found on <body>');
-        return;
-      }
-
-      // 1. ヘッダーナビゲーション
-      const headerNav = new HeaderNav(
-        document.getElementById('header-nav'),
-        diseaseId
-      );
-      headerNav.render();
-
-      // 2. 設定読み込み（disease別）
       const configManager = new ConfigManager(diseaseId);
       this.config = await configManager.load();
+      this.fallbackView.hideLoadError();
 
-      // 3. コンテンツ（Step要素）の生成
       this.contentRenderer = new ContentRenderer(this.config);
       this.contentRenderer.render();
+      this.headerNav.setChapters(this.config.chapters, (chapter) => this.goToStep(chapter.startIndex));
+    } catch (error) {
+      console.error('DiseaseApp content load failed:', error);
+      this.contentRenderer?.destroy();
+      this.contentRenderer = null;
+      this.fallbackView.showLoadError({ onRetry: () => this.start(diseaseId) });
+      return;
+    }
 
-      // 4. レイヤー制御の初期化
+    // 4-5. レイヤー・スクロール制御。使えない環境では本文のみを静的に表示
+    try {
       this.layerOrchestrator = new LayerOrchestrator(this.config);
       await this.layerOrchestrator.init();
 
-      // 5. スクロール制御の初期化
       this.scrollController = new ScrollController({
         onStepEnter: (stepIndex, direction) => this.handleStepEnter(stepIndex, direction),
         onStepLeave: (stepIndex, direction) => this.handleStepLeave(stepIndex, direction),
         onProgress: (progress) => this.handleProgress(progress),
+        onStepProgress: (stepIndex, progress) => this.handleStepProgress(stepIndex, progress),
       });
       this.scrollController.init();
+      this.scrollController.setChapterMarkers(this.config.chapters, (chapter) => this.goToStep(chapter.startIndex));
+
+      // キーボード・クリッカーでのStep送り（スクロールと同じトリガーでレイヤーを遷移させる）
+      this.keyboardNavigator = new KeyboardNavigator({
+        stepCount: this.config.steps.length,
+        getCurrentIndex: () => this.activeStepIndex,
+        onStep: (stepIndex) => this.scrollToStep(stepIndex),
+        onJump: (stepIndex) => this.goToStep(stepIndex),
+        presentation: this.presentation,
+      });
+      this.keyboardNavigator.init();
 
+      // URLハッシュ（#step-id）で指定されたStepから表示する
+      this.restoreStepFromHash();
+      window.addEventListener('hashchange', () => this.restoreStepFromHash());
     } catch (error) {
-      console.error('DiseaseApp initialization failed:', error);
+      console.error('DiseaseApp initialization failed (falling back to text only):', error);
+      this.keyboardNavigator?.destroy();
+      this.keyboardNavigator = null;
+      this.scrollController?.destroy();
+      this.layerOrchestrator?.destroy();
+      this.scrollController = null;
+      this.layerOrchestrator = null;
+      this.fallbackView.showTextOnly();
+      this.contentRenderer.activateAll();
     }
   }
 
@@ -58,8 +110,16 @@ class DiseaseApp {
     const stepConfig = this.config.steps[stepIndex];
     if (!stepConfig) return;
 
+    this.activeStepIndex = stepIndex;
     this.contentRenderer.activateStep(stepIndex);
-    this.layerOrchestrator.transition(stepConfig, direction);
+    this.syncHash(stepConfig, stepIndex);
+    this.updateActiveChapter(stepIndex);
+    // 背景の描画に失敗しても本文の進行は止めない
+    try {
+      this.layerOrchestrator.transition(stepConfig, direction, stepIndex);
+    } catch (error) {
+      console.error(`Step ${stepIndex} layer transition failed:`, error);
+    }
     document.body.classList.toggle('is-fixed-closing', Boolean(stepConfig.fixedClosing));
   }
 
@@ -71,9 +131,76 @@ class DiseaseApp {
     this.contentRenderer.deactivateStep(stepIndex);
   }
 
+  /**
+   * 表示中のStepをURLハッシュに反映する（履歴は増やさない。先頭Stepではハッシュを外す）
+   */
+  syncHash(stepConfig, stepIndex) {
+    const hash = stepIndex > 0 && stepConfig.id ? `#${encodeURIComponent(stepConfig.id)}` : '';
+    if (window.location.hash === hash) return;
+    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+  }
+
+  restoreStepFromHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!id || !this.scrollController) return;
+
+    const stepIndex = this.config.steps.findIndex((step) => step.id === id);
+    if (stepIndex < 0) {
+      console.warn(`Step not found for URL hash: #${id}`);
+      return;
+    }
+    this.goToStep(stepIndex);
+  }
+
+  /**
+   * 指定Stepへ移動する（ディープリンク・目次・章マーカー共通）
+   */
+  goToStep(stepIndex) {
+    if (stepIndex === this.activeStepIndex) return;
+
+    // 本文のみ表示のときはStep要素までスクロールするだけ
+    if (!this.scrollController) {
+      document.querySelectorAll('.step')[stepIndex]?.scrollIntoView();
+      return;
+    }
+
+    if (this.activeStepIndex != null) {
+      this.handleStepLeave(this.activeStepIndex, stepIndex > this.activeStepIndex ? 'down' : 'up');
+    }
+    this.scrollController.jumpToStep(stepIndex);
+  }
+
+  /**
+   * 指定Stepまでスクロールする（キーボード操作）。
+   * プレゼンテーションモードではStep内の進捗（scrub）を描き切った状態で止める
+   */
+  async scrollToStep(stepIndex) {
+    const arrived = await this.scrollController.scrollToStep(stepIndex);
+    if (arrived && this.presentation && this.activeStepIndex === stepIndex) {
+      this.handleStepProgress(stepIndex, 1);
+    }
+  }
+
+  /**
+   * 表示中のStepを含む章（開始Stepが最も近い手前の章）を目次と進捗バーに反映する
+   */
+  updateActiveChapter(stepIndex) {
+    const chapters = this.config.chapters || [];
+    let chapterIndex = -1;
+    chapters.forEach((chapter, index) => {
+      if (chapter.startIndex <= stepIndex) chapterIndex = index;
+    });
+    this.headerNav?.setActiveChapter(chapterIndex);
+    this.scrollController?.setActiveChapter(chapterIndex);
+  }
+
   handleProgress(progress) {
     this.layerOrchestrator.updateProgress(progress);
   }
+
+  handleStepProgress(stepIndex, progress) {
+    this.layerOrchestrator.updateStepProgress(stepIndex, progress);
+  }
 }
 
 const app = new DiseaseApp();
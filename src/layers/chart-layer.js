@@ -1,6 +1,15 @@
 import * as d3 from 'd3';
 import * as vennjs from '@upsetjs/venn.js';
 import { annotation, annotationXYThreshold, annotationCalloutElbow, annotationCalloutCurve } from 'd3-svg-annotation';
+import { createNumberFormatter, createAxisTickFormat, hasNumberFormat, interpolateCountUp } from '../utils/number-format.js';
+import { motionDuration, isReducedMotion, suspendMotion } from '../utils/motion.js';
+import { describeSeries, describeShares, describeFlows, describeSets, describeKpis } from '../utils/chart-description.js';
+import { buildPanelSvg, downloadBlob, formatSourceLine, rasterizeSvg } from '../utils/chart-export.js';
+import { onViewportResize, resolveViewBoxWidth } from '../utils/viewport.js';
+import { t } from '../utils/i18n.js';
+import { loadDataset } from '../utils/data-loader.js';
+import { resolveDataTokenValue } from '../utils/data-tokens.js';
+import { computeSankeyLayout } from '../utils/sankey-layout.js';
 
 const VIEWBOX_WIDTH = 1440;
 const VIEWBOX_HEIGHT = 900;
@@ -41,57 +50,163 @@ const ANNOTATION_DEFAULTS = {
   callout: { dx: 50, dy: -30 },
 };
 
+// 読み上げ用のチャート種別名（config.title がない場合）。文言は src/locales の chart.type.*
+const CHART_TYPES = ['line', 'bar', 'pie', 'sankey', 'venn', 'bump', 'streamgraph', 'kpi', 'waffle'];
+
+// config.labels で置き換えない config のキー（列名の指定など、データの値ではないもの）
+const LABEL_EXEMPT_CONFIG_KEY = /Field$|^(labels|categoryColumns|dataFile)$/;
+
+// ワッフルチャートのマスの形（config.icon）。person は PERSON_ICON_SIZE 四方の人型
+const WAFFLE_ICONS = ['square', 'circle', 'person'];
+const PERSON_ICON_SIZE = 20;
+const PERSON_ICON_PATH = 'M10 1a3.4 3.4 0 1 1 0 6.8a3.4 3.4 0 1 1 0-6.8Z'
+  + 'M6 8.6h8a2.4 2.4 0 0 1 2.4 2.4v4.4h-2.6V19H6.2v-3.6H3.6V11A2.4 2.4 0 0 1 6 8.6Z';
+
+function chartTypeLabel(type) {
+  return CHART_TYPES.includes(type) ? t(`chart.type.${type}`) : t('chart.type.default');
+}
+
+/**
+ * 値の比率に応じて count 個を配分する（最大剰余法。合計は必ず count）
+ */
+function allocateUnits(values, count) {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (!(total > 0)) return values.map(() => 0);
+  const exact = values.map((v) => (v / total) * count);
+  const counts = exact.map(Math.floor);
+  let remaining = count - counts.reduce((sum, v) => sum + v, 0);
+  exact
+    .map((v, i) => ({ i, fraction: v - Math.floor(v) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ i }) => {
+      if (remaining <= 0) return;
+      counts[i] += 1;
+      remaining -= 1;
+    });
+  return counts;
+}
+
 export class ChartLayer {
   constructor(container) {
     this.container = container;
     this.svg = null;
     this.root = null;
-    this.dataCache = new Map();
     this.lineSpanState = new Map();
-    this.onResize = () => {
-      // レスポンシブ再計算は次回step enter時に行う。
+    this.chartSpanState = new Map();
+    this.stepProgress = 0;
+    this.stepProgressListeners = new Set();
+    this.descriptions = [];
+    this.announcedKey = null;
+    this.exportTargets = [];
+    this.liveRegion = this.createLiveRegion();
+    this.activeTooltip = null;
+    // 描画中のchart設定（リサイズ時の再レイアウト用）
+    this.lastRender = null;
+    // render の呼び出し番号。データ読み込み中に次の描画・clear が始まったら古い描画は破棄する
+    this.renderSequence = 0;
+    // タップで開いたツールチップは、チャートの外側をタップしたら閉じる
+    this.onDocumentPointerDown = (event) => {
+      if (this.activeTooltip && !this.activeTooltip.owner.contains(event.target)) {
+        this.activeTooltip.hide();
+        this.activeTooltip = null;
+      }
     };
-    window.addEventListener('resize', this.onResize);
+    this.unsubscribeResize = onViewportResize(() => this.relayout());
+    document.addEventListener('pointerdown', this.onDocumentPointerDown);
   }
 
-  async render(chartConfig, renderOptions = {}) {
+  /**
+   * instant: true で登場アニメーションなしに描く（再レイアウト用）。
+   * トランジションの抑制は読み込み後の同期的な描画の間だけで、他のレイヤーの動きには影響しない
+   */
+  async render(chartConfig, renderOptions = {}, { instant = false } = {}) {
     if (!chartConfig?.visible) return;
 
     this.textPosition = renderOptions.textPosition || null;
     this.panelPlotInfo = [];
+    this.descriptions = [];
+    this.exportTargets = [];
     const normalized = this.normalizeChartConfig(chartConfig, renderOptions);
     this.ensureSvg();
     if (!this.root) return;
+    this.lastRender = { chartConfig, renderOptions };
+    this.renderSequence += 1;
+    const renderId = this.renderSequence;
+    // 新しいStepのスクロール連動はStepの入口（下向きは0、上向きは1）から始める
+    if (!instant) this.stepProgress = renderOptions.direction === 'up' ? 1 : 0;
 
     this.root.selectAll('*').remove();
+    this.defs.selectAll('*').remove();
+    this.container.querySelectorAll('.chart-export-toolbar').forEach((toolbar) => toolbar.remove());
+    this.stepProgressListeners.clear();
     this.drawBackdrop();
 
     const isMobile = window.innerWidth < MIN_MOBILE_WIDTH;
+    this.lastRender.isMobile = isMobile;
     const panelSpecs = this.buildPanelSpecs(normalized, isMobile);
     if (panelSpecs.length === 0) return;
 
-    const chartJobs = panelSpecs
+    const loaded = await Promise.all(panelSpecs
       .filter((panel) => panel.chart)
       .map(async (panel) => {
-        const dataset = await this.loadDataset(panel.chart);
-        this.renderChart(panel, dataset);
+        try {
+          return { panel, dataset: await this.loadDataset(panel.chart) };
+        } catch (error) {
+          console.error(`Chart data load failed: ${panel.chart.dataFile}`, error);
+          return { panel, error };
+        }
+      }));
+    if (renderId !== this.renderSequence) return;
+
+    const resume = instant ? suspendMotion() : null;
+    try {
+      loaded.forEach(({ panel, dataset, error }) => {
+        // データが読めないパネルだけメッセージに差し替え、他のパネルとStepの進行は続ける
+        if (error) {
+          this.renderUnsupported(panel, t('chart.error.load'));
+          return;
+        }
+        const labeled = this.applyDataLabels(panel.chart, dataset);
+        this.renderChart({ ...panel, chart: labeled.chart }, labeled.dataset);
       });
 
-    await Promise.all(chartJobs);
+      this.updateAccessibleDescription();
+      if (chartConfig.export !== false) this.renderExportToolbars();
 
-    // dualAnnotations: 複数パネルを横断するアノテーション
-    if (Array.isArray(chartConfig.dualAnnotations) && chartConfig.dualAnnotations.length > 0) {
-      this.renderDualAnnotations(chartConfig.dualAnnotations);
+      // dualAnnotations: 複数パネルを横断するアノテーション
+      if (Array.isArray(chartConfig.dualAnnotations) && chartConfig.dualAnnotations.length > 0) {
+        this.renderDualAnnotations(chartConfig.dualAnnotations);
+      }
+    } finally {
+      resume?.();
     }
   }
 
+  /**
+   * 画面サイズ・向きの変化に合わせて、表示中のチャートを描き直す。
+   * viewBox幅・描画領域・モバイル時の縦積みを求め直し、登場アニメーションは再生しない
+   */
+  async relayout() {
+    if (!this.lastRender || !this.svg) return;
+
+    const viewBoxWidth = resolveViewBoxWidth(this.container, VIEWBOX_HEIGHT);
+    const isMobile = window.innerWidth < MIN_MOBILE_WIDTH;
+    if (viewBoxWidth == null) return;
+    if (viewBoxWidth === this.viewBoxWidth && isMobile === this.lastRender.isMobile) return;
+
+    this.viewBoxWidth = viewBoxWidth;
+    this.svg.attr('viewBox', `0 0 ${viewBoxWidth} ${VIEWBOX_HEIGHT}`);
+
+    await this.render(this.lastRender.chartConfig, this.lastRender.renderOptions, { instant: true });
+  }
+
   normalizeChartConfig(chartConfig, renderOptions = {}) {
     const layout = chartConfig.layout || (Array.isArray(chartConfig.charts) && chartConfig.charts.length === 2 ? 'dual' : 'single');
     const span = chartConfig.span || (renderOptions.spanId ? { id: renderOptions.spanId } : null);
     const transitionFromPrevious = Boolean(renderOptions.transitionFromPrevious);
 
     const charts = Array.isArray(chartConfig.charts) && chartConfig.charts.length > 0
-      ? chartConfig.charts.map((chart) => ({ ...chart, span, transitionFromPrevious }))
+      ? chartConfig.charts.map((chart, index) => ({ ...chart, span, transitionFromPrevious, _chartIndex: index }))
       : [
           {
             id: chartConfig.id || 'chart-1',
@@ -101,6 +216,7 @@ export class ChartLayer {
             config: chartConfig.config || {},
             span,
             transitionFromPrevious,
+            _chartIndex: 0,
           },
         ];
 
@@ -310,39 +426,36 @@ export class ChartLayer {
   }
 
   async loadDataset(chart) {
-    const dataFile = chart.dataFile;
-    if (!dataFile) {
-      return null;
-    }
-
-    const base = import.meta.env.BASE_URL;
-    const stripped = dataFile.startsWith('/') ? dataFile.slice(1) : dataFile;
-    const resolvedPath = `${base}${stripped}`;
-    const dataFormat = (chart.dataFormat || 'auto').toLowerCase();
-    const format = dataFormat === 'auto' ? this.detectFormatFromPath(resolvedPath) : dataFormat;
-
-    const cacheKey = `${format}:${resolvedPath}`;
-    if (this.dataCache.has(cacheKey)) {
-      return this.dataCache.get(cacheKey);
-    }
-
-    let data;
-    if (format === 'json') {
-      data = await d3.json(resolvedPath);
-    } else if (format === 'csv') {
-      data = await d3.csv(resolvedPath, d3.autoType);
-    } else {
-      throw new Error(`Unsupported data format: ${format}`);
-    }
-
-    this.dataCache.set(cacheKey, data);
-    return data;
+    if (!chart.dataFile) return null;
+    return loadDataset(chart);
   }
 
-  detectFormatFromPath(path) {
-    if (path.endsWith('.json')) return 'json';
-    if (path.endsWith('.csv')) return 'csv';
-    throw new Error(`Cannot detect data format from path: ${path}`);
+  /**
+   * config.labels（元データの値 → 表示名）でデータ中の系列名・カテゴリ名を置き換える（英語版での訳語など）。
+   * rowValue や系列ごとの色など、config 内でデータの値を参照している指定も同じ表示名に揃える
+   */
+  applyDataLabels(chart, dataset) {
+    const labels = chart?.config?.labels;
+    if (!labels || typeof labels !== 'object' || Object.keys(labels).length === 0) return { chart, dataset };
+
+    const relabel = (value, { keys = false } = {}) => {
+      if (typeof value === 'string') return labels[value] ?? value;
+      if (Array.isArray(value)) return value.map((item) => relabel(item, { keys }));
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [keys ? labels[key] ?? key : key, relabel(item, { keys })]),
+        );
+      }
+      return value;
+    };
+
+    const config = Object.fromEntries(
+      Object.entries(chart.config).map(([key, value]) => [
+        key,
+        LABEL_EXEMPT_CONFIG_KEY.test(key) ? value : relabel(value, { keys: true }),
+      ]),
+    );
+    return { chart: { ...chart, config }, dataset: relabel(dataset) };
   }
 
   renderChart(panel, dataset) {
@@ -356,28 +469,407 @@ export class ChartLayer {
     try {
       if (chartType === 'line') {
         this.renderLine(panel, dataset, panel.chart.config || {}, panel.chart);
+      } else if (chartType === 'bar') {
+        this.renderBar(panel, dataset, panel.chart.config || {}, panel.chart);
       } else if (chartType === 'pie') {
-        this.renderPie(panel, dataset, panel.chart.config || {});
+        this.renderPie(panel, dataset, panel.chart.config || {}, panel.chart);
       } else if (chartType === 'sankey') {
         this.renderSankey(panel, dataset, panel.chart.config || {});
       } else if (chartType === 'venn') {
         this.renderVenn(panel, dataset, panel.chart.config || {});
       } else if (chartType === 'bump') {
-        this.renderBump(panel, dataset, panel.chart.config || {});
+        this.renderBump(panel, dataset, panel.chart.config || {}, panel.chart);
       } else if (chartType === 'streamgraph') {
-        this.renderStreamgraph(panel, dataset, panel.chart.config || {});
+        this.renderStreamgraph(panel, dataset, panel.chart.config || {}, panel.chart);
+      } else if (chartType === 'waffle') {
+        this.renderWaffle(panel, dataset, panel.chart.config || {}, panel.chart);
+      } else if (chartType === 'kpi') {
+        this.renderKpi(panel, dataset, panel.chart.config || {});
       } else {
-        this.renderUnsupported(panel, `未対応チャート: ${chartType}`);
+        this.renderUnsupported(panel, t('chart.error.unsupported', { type: chartType }));
       }
     } catch (error) {
-      this.renderUnsupported(panel, `描画エラー: ${chartType}`);
+      this.renderUnsupported(panel, t('chart.error.render', { type: chartType }));
       console.error(error);
+      return;
+    }
+
+    this.describeChart(panel.chart, dataset);
+    this.exportTargets.push({ panel, chart: panel.chart, dataset });
+  }
+
+  /**
+   * 読み上げ用の説明（要約文 + データ表）を描画と同じデータから組み立てる。
+   * 要約文は config.description で差し替えられる
+   */
+  describeChart(chart, dataset) {
+    const config = chart.config || {};
+    const type = chart.type || 'line';
+    const formatValue = createNumberFormatter(config);
+    // 表の見出し（省略時は既定値）
+    const labels = { xLabel: config.xLabel, valueLabel: config.valueLabel };
+
+    let description = null;
+    try {
+      if (type === 'line' || type === 'bar' || type === 'streamgraph') {
+        description = describeSeries(this.filterByXDomain(dataset, config.xField || 'year', config.xDomain), {
+          xField: config.xField || 'year',
+          yField: config.yField || 'value',
+          seriesField: config.seriesField || 'series',
+          formatValue,
+          ...labels,
+        });
+      } else if (type === 'bump') {
+        description = describeSeries(this.filterByXDomain(dataset, config.xField || 'year', [config.xMin, config.xMax]), {
+          xField: config.xField || 'year',
+          yField: config.yField || 'rank',
+          seriesField: config.seriesField || 'country',
+          formatValue,
+          kind: 'rank',
+          ...labels,
+        });
+      } else if (type === 'pie' || type === 'waffle') {
+        const labelField = config.labelField || 'label';
+        const valueField = config.valueField || 'value';
+        const items = (this.resolvePieDataset(dataset, config) || []).map((d) => ({
+          label: d[labelField],
+          value: this.parsePieNumericValue(d[valueField]),
+        }));
+        description = describeShares(items, { formatValue, valueLabel: config.valueLabel });
+      } else if (type === 'sankey') {
+        description = describeFlows(this.normalizeSankeyData(dataset), { formatValue });
+      } else if (type === 'venn') {
+        description = describeSets(this.resolveVennDataset(dataset, config), {
+          formatValue,
+          intersectionLabel: config.intersectionLabel,
+        });
+      } else if (type === 'kpi') {
+        description = describeKpis(this.resolveKpiItems(dataset, config));
+      }
+    } catch (error) {
+      console.warn(`Chart description failed: ${type}`, error);
+    }
+
+    this.descriptions.push({
+      key: `${type}:${chart.dataFile || ''}:${config.title || ''}:${config.groupId || config.rowValue || ''}`,
+      title: this.resolveChartTitle(chart),
+      summary: config.description || description?.summary || '',
+      table: description,
+    });
+  }
+
+  filterByXDomain(dataset, xField, xDomain) {
+    if (!Array.isArray(dataset) || !Array.isArray(xDomain) || xDomain.length !== 2) return dataset;
+    const min = xDomain[0] == null ? -Infinity : Number(xDomain[0]);
+    const max = xDomain[1] == null ? Infinity : Number(xDomain[1]);
+    if (Number.isNaN(min) || Number.isNaN(max)) return dataset;
+    const [lo, hi] = min <= max ? [min, max] : [max, min];
+    return dataset.filter((d) => {
+      const x = Number(d?.[xField]);
+      return !Number.isFinite(x) || (x >= lo && x <= hi);
+    });
+  }
+
+  /**
+   * 視覚的には隠したデータ表と要約文を置き、SVGから aria-describedby で参照する。
+   * 表示中のチャートが変わったときはライブリージョンで読み上げる
+   */
+  updateAccessibleDescription() {
+    if (!this.svg || !this.container) return;
+
+    this.container.querySelector('.chart-a11y')?.remove();
+    const descriptions = this.descriptions;
+    if (descriptions.length === 0) {
+      this.svg.attr('aria-describedby', null);
+      return;
+    }
+
+    const region = document.createElement('div');
+    region.className = 'chart-a11y visually-hidden';
+    const summaryIds = descriptions.map((description, index) => {
+      const id = `chart-summary-${index + 1}`;
+      const summary = document.createElement('p');
+      summary.id = id;
+      summary.textContent = description.summary
+        ? t('chart.a11y.titleWithSummary', description)
+        : description.title;
+      region.appendChild(summary);
+      if (description.table) region.appendChild(this.buildDataTable(description));
+      return id;
+    });
+    this.container.appendChild(region);
+
+    // パネル内のツールチップを操作できるよう、img ではなく figure にする
+    this.svg
+      .attr('role', 'figure')
+      .attr('aria-label', t('chart.a11y.figure', { titles: descriptions.map((d) => d.title).join(t('common.listSeparator')) }))
+      .attr('aria-describedby', summaryIds.join(' '));
+
+    const key = descriptions.map((d) => d.key).join('|');
+    if (key !== this.announcedKey) {
+      this.announcedKey = key;
+      this.announce(t('chart.a11y.announce', {
+        descriptions: descriptions.map((d) => t('chart.a11y.titleWithSummary', d)).join(' '),
+      }));
+    }
+  }
+
+  buildDataTable({ title, table }) {
+    const element = document.createElement('table');
+    const caption = document.createElement('caption');
+    caption.textContent = t('chart.a11y.tableCaption', { title });
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    table.columns.forEach((column) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = column;
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    table.rows.forEach((cells) => {
+      const tr = document.createElement('tr');
+      cells.forEach((value, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.textContent = value;
+        tr.appendChild(cell);
+      });
+      body.appendChild(tr);
+    });
+
+    element.append(caption, head, body);
+    return element;
+  }
+
+  /**
+   * パネルごとの書き出しツールバー（SVG / PNG / データ）。
+   * SVGの上に重ねるHTMLのボタンで、位置はパネルの右上（viewBoxに対する割合）に合わせる
+   */
+  renderExportToolbars() {
+    if (!this.container) return;
+    const viewBoxWidth = this.viewBoxWidth || VIEWBOX_WIDTH;
+
+    this.exportTargets.forEach((target) => {
+      const { panel } = target;
+      const title = this.resolveChartTitle(target.chart);
+      const toolbar = document.createElement('div');
+      toolbar.className = 'chart-export-toolbar';
+      toolbar.setAttribute('role', 'toolbar');
+      toolbar.setAttribute('aria-label', t('chart.export.toolbar', { title }));
+      toolbar.style.right = `${(1 - (panel.x + panel.width) / viewBoxWidth) * 100}%`;
+      toolbar.style.top = `${(panel.y / VIEWBOX_HEIGHT) * 100}%`;
+
+      [
+        { format: 'svg', text: 'SVG', label: t('chart.export.svg') },
+        { format: 'png', text: 'PNG', label: t('chart.export.png') },
+        { format: 'csv', text: t('chart.export.csvButton'), label: t('chart.export.csv') },
+      ].forEach(({ format, text, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'chart-export-button';
+        button.textContent = text;
+        button.setAttribute('aria-label', t('chart.export.button', { title, label }));
+        button.addEventListener('click', () => this.exportChart(target, format));
+        toolbar.appendChild(button);
+      });
+
+      this.container.appendChild(toolbar);
+    });
+  }
+
+  async exportChart({ panel, chart, dataset }, format) {
+    const config = chart.config || {};
+    const fileName = this.resolveExportFileName(chart);
+
+    try {
+      if (format === 'csv') {
+        const rows = this.resolveExportRows(chart, dataset);
+        // Excelで文字化けしないようBOMを付ける
+        downloadBlob(new Blob(['\ufeff', d3.csvFormat(rows)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+        return;
+      }
+
+      const sourceLine = formatSourceLine(config.source);
+      const bounds = { x: panel.x, y: panel.y, width: panel.width, height: panel.height };
+      const { text, width, height } = buildPanelSvg(this.svg.node(), bounds, { sourceLine });
+      if (format === 'svg') {
+        downloadBlob(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+        return;
+      }
+      downloadBlob(await rasterizeSvg(text, width, height), `${fileName}.png`);
+    } catch (error) {
+      console.error(`Chart export failed: ${format}`, error);
+      this.announce(t('chart.export.failed'));
+    }
+  }
+
+  /**
+   * 書き出すデータ。描画時と同じ絞り込み（xDomain / rowField 等）を適用した行の配列
+   */
+  resolveExportRows(chart, dataset) {
+    const config = chart.config || {};
+    const type = chart.type || 'line';
+    const xField = config.xField || 'year';
+
+    if (type === 'line' || type === 'bar' || type === 'streamgraph') {
+      return this.filterByXDomain(dataset, xField, config.xDomain);
+    }
+    if (type === 'bump') {
+      return this.filterByXDomain(dataset, xField, [config.xMin, config.xMax]);
+    }
+    if (type === 'pie' || type === 'waffle') {
+      return this.resolvePieDataset(dataset, config);
+    }
+    if (type === 'sankey') {
+      const graph = this.normalizeSankeyData(dataset);
+      const labelOf = new Map((graph?.nodes || []).map((n) => [n.id, n.label]));
+      return (graph?.links || []).map((l) => ({
+        source: labelOf.get(l.source) ?? l.source,
+        target: labelOf.get(l.target) ?? l.target,
+        value: l.value,
+      }));
+    }
+    if (type === 'kpi') {
+      return this.resolveKpiItems(dataset, config)
+        .filter((d) => d.value != null)
+        .map((d) => ({ label: d.label, value: d.value, compare: d.compareValue ?? '', change: d.changeText }));
     }
+    if (type === 'venn') {
+      return (this.resolveVennDataset(dataset, config)?.sets || []).map((d) => ({ sets: d.sets.join('&'), size: d.size }));
+    }
+    return Array.isArray(dataset) ? dataset : [];
+  }
+
+  resolveExportFileName(chart) {
+    const config = chart.config || {};
+    const base = String(chart.dataFile || chart.type || 'chart').split('/').pop().replace(/\.[^.]+$/, '');
+    const variant = config.groupId ?? config.rowValue;
+    return [base, variant].filter((part) => part != null && part !== '').join('-').replace(/[\\/:*?"<>|\s]+/g, '-');
+  }
+
+  resolveChartTitle(chart) {
+    const config = chart.config || {};
+    return config.title || config.groupTitle || chartTypeLabel(chart.type || 'line');
+  }
+
+  createLiveRegion() {
+    const region = document.createElement('div');
+    region.className = 'visually-hidden';
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('role', 'status');
+    document.body.appendChild(region);
+    return region;
+  }
+
+  /**
+   * ツールチップをキーボードで操作できるようにする。
+   * パネルにフォーカスし、←→で項目（x値）、↑↓で系列を移動する（系列が1つなら↑↓も項目の移動）。
+   * show(column, row) はツールチップを表示して読み上げ文を返す。読み上げ文はライブリージョンにも出す
+   */
+  attachTooltipNavigation(target, { label, bounds, columns, rows = 1, show, hide }) {
+    if (!target || columns <= 0) return;
+
+    const state = { column: -1, row: 0 };
+    const reset = () => {
+      hide();
+      state.column = -1;
+    };
+
+    target
+      .attr('tabindex', 0)
+      .attr('role', 'application')
+      .attr('aria-label', t('chart.a11y.inspect', { label }))
+      .classed('chart-inspectable', true);
+
+    // フォーカス枠（キーボード操作時のみCSSで表示）
+    target
+      .insert('rect', ':first-child')
+      .attr('class', 'chart-focus-ring')
+      .attr('x', bounds.x - 4)
+      .attr('y', bounds.y - 4)
+      .attr('width', bounds.width + 8)
+      .attr('height', bounds.height + 8)
+      .attr('rx', 6);
+
+    target
+      .on('blur', reset)
+      .on('keydown', (event) => {
+        const singleRow = rows <= 1;
+        const { key } = event;
+        if (key === 'ArrowRight' || (singleRow && key === 'ArrowDown')) {
+          state.column = Math.min(columns - 1, state.column + 1);
+        } else if (key === 'ArrowLeft' || (singleRow && key === 'ArrowUp')) {
+          state.column = Math.max(0, state.column - 1);
+        } else if (key === 'ArrowDown') {
+          state.row = Math.min(rows - 1, state.row + 1);
+        } else if (key === 'ArrowUp') {
+          state.row = Math.max(0, state.row - 1);
+        } else if (key === 'Home') {
+          state.column = 0;
+        } else if (key === 'End') {
+          state.column = columns - 1;
+        } else if (key === 'Escape') {
+          reset();
+          return;
+        } else {
+          return;
+        }
+
+        // ページのStep送り（KeyboardNavigator）より優先する
+        event.preventDefault();
+        state.column = Math.max(0, state.column);
+        this.setActiveTooltip(target.node(), hide);
+        const message = show(state.column, state.row);
+        if (message) this.announce(message);
+      });
+  }
+
+  /**
+   * タップ（クリック）で表示したツールチップを読み上げ、外側のタップで閉じられるようにする
+   */
+  inspectOnTap(owner, message, hide) {
+    this.setActiveTooltip(owner, hide);
+    if (message) this.announce(message);
+  }
+
+  setActiveTooltip(owner, hide) {
+    if (this.activeTooltip && this.activeTooltip.owner !== owner) this.activeTooltip.hide();
+    this.activeTooltip = { owner, hide };
+  }
+
+  /**
+   * 白背景のツールチップ（棒・円・サンキー共通）。lines は { text, fill } の配列
+   */
+  drawTooltipBox(tooltipGroup, labelX, labelY, lines, boxWidth = 150) {
+    tooltipGroup.selectAll('*').remove();
+    tooltipGroup.attr('opacity', 1);
+    tooltipGroup.append('rect')
+      .attr('x', labelX - 6).attr('y', labelY - 14)
+      .attr('width', boxWidth).attr('height', lines.length * 16 + 6)
+      .attr('rx', 3).attr('fill', 'rgba(255,255,255,0.92)');
+    lines.forEach((line, i) => {
+      tooltipGroup.append('text')
+        .attr('x', labelX).attr('y', labelY + i * 16)
+        .attr('fill', line.fill).attr('font-size', CHART_FONT.tooltip).attr('font-weight', 500)
+        .text(line.text);
+    });
+  }
+
+  announce(message) {
+    if (!this.liveRegion) return;
+    // 同じ文言でも読み上げられるよう、一度空にしてから差し替える
+    this.liveRegion.textContent = '';
+    requestAnimationFrame(() => {
+      if (this.liveRegion) this.liveRegion.textContent = message;
+    });
   }
 
   renderLine(panel, dataset, config, chartMeta = {}) {
     if (!Array.isArray(dataset)) {
-      this.renderUnsupported(panel, 'lineデータ形式が不正です');
+      this.renderUnsupported(panel, t('chart.error.format', { type: 'line' }));
       return;
     }
 
@@ -386,7 +878,7 @@ export class ChartLayer {
     const seriesField = config.seriesField || 'series';
     const baseRows = dataset.filter((d) => Number.isFinite(Number(d[xField])) && (Number.isFinite(Number(d[yField])) || d[yField] == null || String(d[yField]).trim() === '' || String(d[yField]).trim() === '―'));
     if (baseRows.length === 0) {
-      this.renderUnsupported(panel, 'lineデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'line' }));
       return;
     }
 
@@ -398,7 +890,7 @@ export class ChartLayer {
       ? [Math.min(configuredXDomain[0], configuredXDomain[1]), Math.max(configuredXDomain[0], configuredXDomain[1])]
       : [Number(defaultXDomain[0]), Number(defaultXDomain[1])];
     if (!targetXDomain.every(Number.isFinite) || targetXDomain[0] === targetXDomain[1]) {
-      this.renderUnsupported(panel, 'lineのx軸設定が不正です');
+      this.renderUnsupported(panel, t('chart.error.xAxis', { type: 'line' }));
       return;
     }
 
@@ -407,7 +899,7 @@ export class ChartLayer {
       return xValue >= targetXDomain[0] && xValue <= targetXDomain[1];
     });
     if (rows.length === 0) {
-      this.renderUnsupported(panel, 'lineデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'line' }));
       return;
     }
 
@@ -425,14 +917,15 @@ export class ChartLayer {
     const startXDomain = previousSpanState?.xDomain || targetXDomain;
     const startYDomain = previousSpanState?.yDomain || targetYDomain;
 
-    const title = config.title || '折れ線グラフ';
+    const title = config.title || chartTypeLabel('line');
     const inner = this.createPanelInner(panel, title);
     const width = inner.width;
     const height = inner.height;
     const grouped = d3.groups(rows, (d) => (d[seriesField] == null ? '__single__' : String(d[seriesField])));
     const hasMultiSeries = grouped.length > 1 && grouped.some(([key]) => key !== '__single__');
     const labelGutter = hasMultiSeries ? this.resolveLineLabelGutter(width) : 0;
-    const leftGutter = this.resolveYAxisLabelGutter(rows, yField);
+    const formatValue = createNumberFormatter(config);
+    const leftGutter = this.resolveYAxisLabelGutter(rows, yField, formatValue);
     const topInset = 6;
     const bottomInset = 24;
     const plotWidth = Math.max(80, width - leftGutter - labelGutter);
@@ -466,6 +959,8 @@ export class ChartLayer {
 
     const xAxis = d3.axisBottom(x).ticks(5).tickFormat(d3.format('d'));
     const yAxis = d3.axisLeft(y).ticks(5);
+    const yTickFormat = createAxisTickFormat(config);
+    if (yTickFormat) yAxis.tickFormat(yTickFormat);
     const styleAxisText = (g) => g.selectAll('text').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.axis);
     const styleAxisLines = (g) => g.selectAll('line,path').attr('stroke', CHART_COLOR.axisLine).attr('opacity', 0.5);
 
@@ -572,7 +1067,7 @@ export class ChartLayer {
       if (shouldAnimateSpan && previousSpanState) {
         x.domain(targetXDomain);
         y.domain(targetYDomain);
-        const transition = d3.transition().duration(850).ease(d3.easeCubicInOut);
+        const transition = d3.transition().duration(motionDuration(850)).ease(d3.easeCubicInOut);
 
         // グリッドライン更新
         if (gridGroup) {
@@ -594,28 +1089,39 @@ export class ChartLayer {
           .call(styleAxisText)
           .call(styleAxisLines);
         path.transition(transition).attr('d', line).on('end', () => {
-          this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
+          if (!config.scrub) this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
         });
         if (areaPath) areaPath.transition(transition).attr('d', areaGen).attr('opacity', 1);
         points
           .transition(transition)
           .attr('cx', (d) => x(Number(d[xField])))
           .attr('cy', (d) => y(Number(d[yField])));
-      } else {
+      } else if (!config.scrub) {
         this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
         const len = path.node()?.getTotalLength() || 0;
         path
           .attr('stroke-dasharray', `${len} ${len}`)
           .attr('stroke-dashoffset', len)
           .transition()
-          .duration(700)
+          .duration(motionDuration(700))
           .ease(d3.easeCubicOut)
           .attr('stroke-dashoffset', 0);
-        if (areaPath) areaPath.transition().duration(700).ease(d3.easeCubicOut).attr('opacity', 1);
+        if (areaPath) areaPath.transition().duration(motionDuration(700)).ease(d3.easeCubicOut).attr('opacity', 1);
+      }
+
+      // scrub: スクロール位置に合わせて線・面・点を描き進める
+      if (config.scrub) {
+        if (areaPath) areaPath.attr('opacity', 1);
+        const annotationLayer = this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
+        this.attachLineScrub(panel, plotGroup, {
+          x, plotHeight, xDomain: targetXDomain, rows, xField, yField,
+          revealNodes: [areaPath, path, points].filter(Boolean),
+          annotationLayer,
+        });
       }
 
       // ツールチップ（単一系列）
-      this.attachLineTooltip(plotGroup, [{ name: '__single__', values: rows }], x, y, plotWidth, plotHeight, xField, yField, () => themeColor);
+      this.attachLineTooltip(plotGroup, [{ name: '__single__', values: rows }], x, y, plotWidth, plotHeight, xField, yField, () => themeColor, formatValue, title);
 
       if (spanId) {
         this.lineSpanState.set(spanId, { xDomain: [...targetXDomain], yDomain: [...targetYDomain] });
@@ -731,7 +1237,7 @@ export class ChartLayer {
     if (shouldAnimateSpan && previousSpanState) {
       x.domain(targetXDomain);
       y.domain(targetYDomain);
-      const transition = d3.transition().duration(850).ease(d3.easeCubicInOut);
+      const transition = d3.transition().duration(motionDuration(850)).ease(d3.easeCubicInOut);
 
       // グリッドライン更新
       if (gridGroup) {
@@ -755,7 +1261,7 @@ export class ChartLayer {
 
       pathNodes.forEach((path, index) => {
         path.transition(transition).attr('d', line).on('end', () => {
-          if (index === 0) {
+          if (index === 0 && !config.scrub) {
             this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
             this.drawLineEndLabels(plotGroup, seriesData, color, x, y, plotWidth, plotHeight, xField, yField, config);
           }
@@ -773,7 +1279,7 @@ export class ChartLayer {
           .attr('cx', (d) => x(Number(d[xField])))
           .attr('cy', (d) => y(Number(d[yField])));
       });
-    } else {
+    } else if (!config.scrub) {
       this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
       pathNodes.forEach((path) => {
         const len = path.node()?.getTotalLength() || 0;
@@ -781,21 +1287,36 @@ export class ChartLayer {
           .attr('stroke-dasharray', `${len} ${len}`)
           .attr('stroke-dashoffset', len)
           .transition()
-          .duration(700)
+          .duration(motionDuration(700))
           .ease(d3.easeCubicOut)
           .attr('stroke-dashoffset', 0);
       });
       projPathNodes.forEach((pp) => {
-        if (pp) pp.attr('opacity', 0).transition().delay(500).duration(400).ease(d3.easeCubicOut).attr('opacity', 1);
+        if (pp) pp.attr('opacity', 0).transition().delay(motionDuration(500)).duration(motionDuration(400)).ease(d3.easeCubicOut).attr('opacity', 1);
+      });
+      areaNodes.forEach((ap) => {
+        if (ap) ap.transition().duration(motionDuration(700)).ease(d3.easeCubicOut).attr('opacity', 1);
       });
+      this.drawLineEndLabels(plotGroup, seriesData, color, x, y, plotWidth, plotHeight, xField, yField, config);
+    }
+
+    // scrub: スクロール位置に合わせて線・面・点を描き進める（末端ラベルは描き終わりで表示）
+    if (config.scrub) {
       areaNodes.forEach((ap) => {
-        if (ap) ap.transition().duration(700).ease(d3.easeCubicOut).attr('opacity', 1);
+        if (ap) ap.attr('opacity', 1);
       });
+      const annotationLayer = this.renderLineAnnotations(plotGroup, x, y, plotWidth, plotHeight, config.annotations);
       this.drawLineEndLabels(plotGroup, seriesData, color, x, y, plotWidth, plotHeight, xField, yField, config);
+      this.attachLineScrub(panel, plotGroup, {
+        x, plotHeight, xDomain: targetXDomain, rows, xField, yField,
+        revealNodes: [...areaNodes, ...pathNodes, ...projPathNodes, ...pointNodes].filter(Boolean),
+        annotationLayer,
+        endLabels: plotGroup.select('.line-end-labels'),
+      });
     }
 
     // ツールチップ（複数系列）
-    this.attachLineTooltip(plotGroup, seriesData, x, y, plotWidth, plotHeight, xField, yField, (name) => color(name));
+    this.attachLineTooltip(plotGroup, seriesData, x, y, plotWidth, plotHeight, xField, yField, (name) => color(name), formatValue, title);
 
     if (spanId) {
       this.lineSpanState.set(spanId, { xDomain: [...targetXDomain], yDomain: [...targetYDomain] });
@@ -804,7 +1325,70 @@ export class ChartLayer {
     
   }
 
-  attachLineTooltip(plotGroup, seriesData, xScale, yScale, plotWidth, plotHeight, xField, yField, colorFn) {
+  attachLineScrub(panel, plotGroup, options) {
+    const { x, plotHeight, xDomain, rows, xField, yField, revealNodes, annotationLayer, endLabels } = options;
+    const [x0, x1] = xDomain;
+
+    const clipId = `line-scrub-clip-${panel.x}-${panel.y}`;
+    const clipRect = this.defs
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('x', -8)
+      .attr('y', -8)
+      .attr('width', 0)
+      .attr('height', plotHeight + 16);
+    revealNodes.forEach((node) => node.attr('clip-path', `url(#${clipId})`));
+
+    // アノテーションの出現位置（x値）。horizontalLineは線が初めてその値に達した年
+    const crossingX = (value) => {
+      const hit = rows
+        .filter((d) => Number(d[yField]) >= value)
+        .sort((a, b) => Number(a[xField]) - Number(b[xField]))[0];
+      return hit ? Number(hit[xField]) : x1;
+    };
+    const revealXOf = (ann) => {
+      if (!ann) return x0;
+      if (ann.type === 'horizontalLine') {
+        const explicit = Number(ann.year ?? ann.x);
+        return Number.isFinite(explicit) ? explicit : crossingX(Number(ann.y ?? ann.value));
+      }
+      const value = Number(ann.year ?? ann.x ?? ann.value);
+      return Number.isFinite(value) ? value : x0;
+    };
+    const annotations = annotationLayer ? annotationLayer.selectAll('g.annotation') : d3.select(null);
+    const arrows = plotGroup.selectAll('.annotation-arrow');
+    const labels = endLabels && !endLabels.empty() ? endLabels : d3.select(null);
+    // 表示状態が変わった時だけフェードさせる
+    const setVisible = (selection, visibleFn) => {
+      selection.each(function (d) {
+        const visible = Boolean(visibleFn(d));
+        if (this.__scrubVisible === visible) return;
+        this.__scrubVisible = visible;
+        d3.select(this).transition().duration(motionDuration(200)).attr('opacity', visible ? 1 : 0);
+      });
+    };
+    annotations.attr('opacity', 0);
+    arrows.attr('opacity', 0);
+    labels.attr('opacity', 0);
+
+    this.onStepProgress((progress) => {
+      // Stepの終わり手前（85%）で描き終える
+      const reveal = Math.max(0, Math.min(1, progress / 0.85));
+      const revealX = x0 + (x1 - x0) * reveal;
+      clipRect.attr('width', reveal > 0 ? Math.max(0, x(revealX)) + 8 : 0);
+
+      const isRevealed = (ann) => reveal > 0 && revealX >= revealXOf(ann);
+      const visibleIds = new Set(
+        annotations.data().map((d) => d?.data?.source).filter((ann) => ann?.id && isRevealed(ann)).map((ann) => ann.id)
+      );
+      setVisible(annotations, (d) => isRevealed(d?.data?.source));
+      setVisible(arrows, (arr) => visibleIds.has(arr.from) && visibleIds.has(arr.to));
+      setVisible(labels, () => reveal >= 1);
+    });
+  }
+
+  attachLineTooltip(plotGroup, seriesData, xScale, yScale, plotWidth, plotHeight, xField, yField, colorFn, formatValue = d3.format(','), label = chartTypeLabel('line')) {
     const overlay = plotGroup
       .append('rect')
       .attr('width', plotWidth)
@@ -826,58 +1410,89 @@ export class ChartLayer {
     )].sort((a, b) => a - b);
 
     const bisect = d3.bisector((d) => d).left;
-
-    overlay.on('mousemove', (event) => {
-      const [mx] = d3.pointer(event);
+    const nearestX = (mx) => {
       const xVal = xScale.invert(mx);
       const idx = bisect(allXValues, xVal);
       const x0 = allXValues[idx - 1];
       const x1 = allXValues[idx];
-      const nearest = x0 == null ? x1 : x1 == null ? x0 : (xVal - x0 < x1 - xVal ? x0 : x1);
-      if (nearest == null) return;
+      return x0 == null ? x1 : x1 == null ? x0 : (xVal - x0 < x1 - xVal ? x0 : x1);
+    };
 
+    // x値のツールチップを表示し、読み上げ文を返す（focusIndex の系列を強調して読み上げる）
+    const showAt = (nearest, focusIndex = null) => {
       const px = xScale(nearest);
       guideLine.attr('x1', px).attr('x2', px).attr('stroke-opacity', 0.3);
 
       tooltipGroup.selectAll('*').remove();
       tooltipGroup.attr('opacity', 1);
 
+      const spoken = [];
       let ty = 0;
-      seriesData.forEach((series) => {
+      seriesData.forEach((series, seriesIndex) => {
         const point = series.values.find((d) => Number(d[xField]) === nearest);
         if (!point) return;
         const py = yScale(Number(point[yField]));
         const c = colorFn(series.name);
+        const isFocused = focusIndex === seriesIndex && seriesData.length > 1;
 
         // ハイライト円
         tooltipGroup.append('circle')
-          .attr('cx', px).attr('cy', py).attr('r', 4)
+          .attr('cx', px).attr('cy', py).attr('r', isFocused ? 6 : 4)
           .attr('fill', c).attr('stroke', '#fff').attr('stroke-width', 1.5);
 
         // 値ラベル
         const labelX = px + 8;
         const labelY = 12 + ty * 16;
+        const valueLabel = formatValue(Number(point[yField]));
         tooltipGroup.append('rect')
           .attr('x', labelX - 2).attr('y', labelY - 10)
-          .attr('width', 70).attr('height', 14)
+          .attr('width', Math.max(70, valueLabel.length * 9)).attr('height', 14)
           .attr('rx', 3).attr('fill', 'rgba(255,255,255,0.92)');
         tooltipGroup.append('text')
           .attr('x', labelX).attr('y', labelY)
           .attr('fill', c).attr('font-size', CHART_FONT.tooltip).attr('font-weight', 500)
-          .text(d3.format(',')(Number(point[yField])));
+          .text(valueLabel);
         ty += 1;
+
+        if (focusIndex == null || seriesData.length === 1 || isFocused) {
+          spoken.push(series.name === '__single__' ? valueLabel : `${series.name}: ${valueLabel}`);
+        }
       });
 
       // 年ラベル
+      const xLabel = d3.format('d')(nearest);
       tooltipGroup.append('text')
         .attr('x', px).attr('y', plotHeight + 16)
         .attr('text-anchor', 'middle').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.tooltip)
-        .text(d3.format('d')(nearest));
-    });
+        .text(xLabel);
+
+      return `${xLabel} ${spoken.length > 0 ? spoken.join(t('common.listSeparator')) : t('common.noData')}`;
+    };
 
-    overlay.on('mouseleave', () => {
+    const hide = () => {
       guideLine.attr('stroke-opacity', 0);
       tooltipGroup.attr('opacity', 0);
+    };
+
+    overlay.on('mousemove', (event) => {
+      const nearest = nearestX(d3.pointer(event)[0]);
+      if (nearest != null) showAt(nearest);
+    });
+
+    overlay.on('click', (event) => {
+      const nearest = nearestX(d3.pointer(event)[0]);
+      if (nearest != null) this.inspectOnTap(plotGroup.node(), showAt(nearest), hide);
+    });
+
+    overlay.on('mouseleave', hide);
+
+    this.attachTooltipNavigation(plotGroup, {
+      label,
+      bounds: { x: 0, y: 0, width: plotWidth, height: plotHeight },
+      columns: allXValues.length,
+      rows: seriesData.length,
+      show: (column, row) => showAt(allXValues[column], row),
+      hide,
     });
   }
 
@@ -898,6 +1513,7 @@ export class ChartLayer {
         if (!Number.isFinite(xValue) || !Number.isFinite(yValue)) return null;
         return {
           name: series.name,
+          value: yValue,
           xEnd: xScale(xValue),
           yTarget: yScale(yValue),
           y: yScale(yValue),
@@ -937,6 +1553,9 @@ export class ChartLayer {
 
     const layer = group.append('g').attr('class', 'line-end-labels');
     const textOnlySet = new Set(config.textOnlyLabels || []);
+    // endLabelValue: 系列名の後ろに最新値を併記
+    const formatValue = createNumberFormatter(config);
+    const labelText = (d) => (config.endLabelValue ? `${d.name} ${formatValue(d.value)}` : d.name);
 
     layer
       .selectAll('line')
@@ -962,11 +1581,11 @@ export class ChartLayer {
       .attr('fill', (d) => color(d.name))
       .attr('font-size', CHART_FONT.series)
       .attr('font-weight', 600)
-      .text((d) => d.name);
+      .text(labelText);
   }
 
   renderLineAnnotations(group, xScale, yScale, width, height, annotations) {
-    if (!Array.isArray(annotations) || annotations.length === 0) return;
+    if (!Array.isArray(annotations) || annotations.length === 0) return null;
 
     const xDomain = xScale.domain();
     const yDomain = yScale.domain();
@@ -987,10 +1606,12 @@ export class ChartLayer {
         if (value < Math.min(...xDomain) || value > Math.max(...xDomain)) continue;
 
         const x = xScale(value);
+        if (!Number.isFinite(x)) continue;
         descriptors.push({
           type: annotationXYThreshold,
           note: { label, wrap, labelStyle: { fontSize: CHART_FONT.annotation } },
           color,
+          data: { source: ann },
           x,
           y: 0,
           dx: ann.dx ?? ANNOTATION_DEFAULTS.verticalLine.dx,
@@ -1004,6 +1625,7 @@ export class ChartLayer {
         if (value < Math.min(...yDomain) || value > Math.max(...yDomain)) continue;
 
         const y = yScale(value);
+        if (!Number.isFinite(y)) continue;
         if (ann.id) idToY.set(ann.id, y);
 
         const anchorRight = ann.anchor === 'right';
@@ -1011,6 +1633,7 @@ export class ChartLayer {
           type: annotationXYThreshold,
           note: { label, wrap, align: anchorRight ? 'right' : undefined, labelStyle: { fontSize: CHART_FONT.annotation } },
           color,
+          data: { source: ann },
           x: anchorRight ? width : 0,
           y,
           dx: ann.dx ?? (anchorRight ? -ANNOTATION_DEFAULTS.horizontalLine.dx : ANNOTATION_DEFAULTS.horizontalLine.dx),
@@ -1027,6 +1650,7 @@ export class ChartLayer {
           type: connectorType,
           note: { label, wrap, labelStyle: { fontSize: CHART_FONT.annotation } },
           color,
+          data: { source: ann },
           x: xScale(xVal),
           y: yScale(yVal),
           dx: ann.dx ?? ANNOTATION_DEFAULTS.callout.dx,
@@ -1035,11 +1659,12 @@ export class ChartLayer {
       }
     }
 
+    let layer = null;
     if (descriptors.length > 0) {
       const makeAnnotations = annotation()
         .annotations(descriptors);
 
-      const layer = group.append('g')
+      layer = group.append('g')
         .attr('class', 'chart-annotations')
         .call(makeAnnotations);
 
@@ -1057,6 +1682,7 @@ export class ChartLayer {
 
     // arrow: 2本のhorizontalLine間を繋ぐ矢印
     this.renderAnnotationArrows(group, annotations, idToY, width);
+    return layer;
   }
 
   renderAnnotationArrows(group, annotations, idToY, plotWidth) {
@@ -1090,6 +1716,8 @@ export class ChartLayer {
 
       // 矢印線
       group.append('line')
+        .datum(arr)
+        .attr('class', 'annotation-arrow')
         .attr('x1', xPos)
         .attr('y1', fromY)
         .attr('x2', xPos)
@@ -1102,6 +1730,8 @@ export class ChartLayer {
       if (label) {
         const midY = (fromY + toY) / 2;
         group.append('text')
+          .datum(arr)
+          .attr('class', 'annotation-arrow')
           .attr('x', xPos - 8)
           .attr('y', midY)
           .attr('text-anchor', 'end')
@@ -1278,112 +1908,763 @@ export class ChartLayer {
     }
   }
 
-  renderPie(panel, dataset, config) {
-    const pieData = this.resolvePieDataset(dataset, config);
-    if (!Array.isArray(pieData) || pieData.length === 0) {
-      this.renderUnsupported(panel, 'pieデータが空です');
+  renderBar(panel, dataset, config, chartMeta = {}) {
+    if (!Array.isArray(dataset)) {
+      this.renderUnsupported(panel, t('chart.error.format', { type: 'bar' }));
       return;
     }
 
-    const labelField = config.labelField || 'label';
-    const valueField = config.valueField || 'value';
-    const rows = pieData
-      .map((d) => ({
-        ...d,
-        __pieValue: this.parsePieNumericValue(d[valueField]),
-      }))
-      .filter((d) => d[labelField] != null && Number.isFinite(d.__pieValue));
+    const xField = config.xField || 'year';
+    const yField = config.yField || 'value';
+    const seriesField = config.seriesField || 'series';
+    const isHorizontal = config.orientation === 'horizontal';
+    const isStacked = config.mode === 'stacked';
+
+    let rows = dataset.filter(
+      (d) => d[xField] != null && String(d[xField]).trim() !== '' && Number.isFinite(Number(d[yField]))
+    );
+    const configuredXDomain = Array.isArray(config.xDomain) && config.xDomain.length === 2
+      ? config.xDomain.map(Number)
+      : null;
+    if (configuredXDomain && configuredXDomain.every(Number.isFinite)) {
+      const [minX, maxX] = d3.extent(configuredXDomain);
+      rows = rows.filter((d) => Number(d[xField]) >= minX && Number(d[xField]) <= maxX);
+    }
     if (rows.length === 0) {
-      this.renderUnsupported(panel, 'pieデータが不正です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'bar' }));
       return;
     }
 
-    const title = config.title || config.groupTitle || '円グラフ';
-    const inner = this.createPanelInner(panel, title, { compact: true });
-    const radius = Math.max(24, Math.min(inner.width, inner.height) * 0.33);
-
-    const pie = d3.pie().value((d) => d.__pieValue).sort(null);
-    const arc = d3.arc().innerRadius(0).outerRadius(radius);
+    // カテゴリ順: config.categories 指定 > データ出現順
+    const seriesKeyOf = (d) => (d[seriesField] == null ? '__single__' : String(d[seriesField]));
+    const seriesKeys = [...new Set(rows.map(seriesKeyOf))];
+    const hasMultiSeries = seriesKeys.length > 1 && seriesKeys.some((key) => key !== '__single__');
+    let categories = Array.isArray(config.categories) && config.categories.length > 0
+      ? config.categories.map(String)
+      : [...new Set(rows.map((d) => String(d[xField])))];
+
+    const valueMap = d3.rollup(
+      rows,
+      (v) => d3.sum(v, (d) => Number(d[yField])),
+      (d) => String(d[xField]),
+      seriesKeyOf
+    );
+    const pivoted = categories.map((category) => {
+      const entry = { __category: category };
+      seriesKeys.forEach((key) => {
+        entry[key] = valueMap.get(category)?.get(key) ?? 0;
+      });
+      return entry;
+    });
+    const totalOf = (entry) => d3.sum(seriesKeys, (key) => entry[key]);
 
-    const palette = this.buildPalette(rows.length);
-    if (config.primaryColor) {
-      palette[0] = config.primaryColor;
+    if (config.sort === 'ascending' || config.sort === 'descending') {
+      const direction = config.sort === 'ascending' ? d3.ascending : d3.descending;
+      pivoted.sort((a, b) => direction(totalOf(a), totalOf(b)));
+      categories = pivoted.map((entry) => entry.__category);
     }
-    if (config.remainderColor && rows.length === 2) {
-      palette[1] = config.remainderColor;
+
+    // 棒セグメント: 積み上げ時は d3.stack、グループ時は 0 起点
+    const segments = [];
+    if (isStacked) {
+      const stacked = d3.stack().keys(seriesKeys).offset(d3.stackOffsetDiverging)(pivoted);
+      stacked.forEach((layer, si) => {
+        layer.forEach((d) => {
+          segments.push({
+            category: d.data.__category,
+            series: layer.key,
+            seriesIndex: si,
+            value: d.data[layer.key],
+            v0: d[0],
+            v1: d[1],
+          });
+        });
+      });
+    } else {
+      pivoted.forEach((entry) => {
+        seriesKeys.forEach((key, si) => {
+          if (!valueMap.get(entry.__category)?.has(key)) return;
+          segments.push({
+            category: entry.__category,
+            series: key,
+            seriesIndex: si,
+            value: entry[key],
+            v0: 0,
+            v1: entry[key],
+          });
+        });
+      });
     }
-    const root = inner.group
-      .append('g')
-      .attr('transform', `translate(${inner.width / 2}, ${inner.height / 2 - 8})`);
 
-    const staggerDelay = panel._gridIndex != null ? panel._gridIndex * 80 : 0;
+    const valueExtent = d3.extent(segments.flatMap((s) => [s.v0, s.v1]));
+    const configValueDomain = Array.isArray(config.yDomain) && config.yDomain.length === 2
+      ? config.yDomain.map(Number)
+      : null;
+    const valueScale = d3
+      .scaleLinear()
+      .domain(configValueDomain || [Math.min(0, valueExtent[0] * 1.1), Math.max(0, valueExtent[1] * 1.1)]);
+    if (!configValueDomain) valueScale.nice();
+    const valueDomain = valueScale.domain();
+    const formatValue = createNumberFormatter(config);
 
-    const arcsData = pie(rows);
-    const totalEndAngle = arcsData[arcsData.length - 1].endAngle;
+    const title = config.title || chartTypeLabel('bar');
+    const inner = this.createPanelInner(panel, title);
+    const width = inner.width;
+    const height = inner.height;
 
-    root
-      .selectAll('path')
-      .data(arcsData)
-      .enter()
-      .append('path')
-      .attr('fill', (_, i) => palette[i])
-      .attr('stroke', '#ffffff')
-      .attr('stroke-width', 1)
-      .attr('opacity', 0.95)
-      .attr('d', (d) => arc({ ...d, endAngle: d.startAngle }))
-      .transition()
-      .duration(800)
-      .delay(staggerDelay)
-      .ease(d3.easeCubicOut)
-      .attrTween('d', (d) => {
-        return (t) => {
-          const sweep = t * totalEndAngle;
-          if (sweep <= d.startAngle) {
-            return arc({ ...d, endAngle: d.startAngle });
-          }
-          return arc({ ...d, endAngle: Math.min(d.endAngle, sweep) });
-        };
-      });
+    const legendH = hasMultiSeries ? CHART_FONT.series + 12 : 0;
+    const topInset = 6 + legendH;
+    const bottomInset = 24;
+    const leftGutter = isHorizontal
+      ? this.resolveCategoryLabelGutter(categories)
+      : this.resolveYAxisLabelGutter(segments.map((s) => ({ v: s.v1 })), 'v', formatValue);
+    const rightGutter = config.showValues ? 48 : 12;
+    const plotWidth = Math.max(80, width - leftGutter - rightGutter);
+    const plotHeight = Math.max(80, height - topInset - bottomInset);
 
-    const legend = inner.group
+    const plotGroup = inner.group
       .append('g')
-      .attr('transform', `translate(0, ${inner.height - Math.min(rows.length * 15, inner.height * 0.38)})`);
+      .attr('transform', `translate(${leftGutter}, ${topInset})`);
 
-    rows.slice(0, 6).forEach((row, i) => {
-      const y = i * 15;
-      legend
-        .append('rect')
-        .attr('x', 0)
-        .attr('y', y - 9)
-        .attr('width', 9)
-        .attr('height', 9)
-        .attr('fill', palette[i]);
-      legend
-        .append('text')
-        .attr('x', 14)
-        .attr('y', y)
-        .attr('fill', CHART_COLOR.axisText)
-        .attr('font-size', CHART_FONT.series)
-        .text(`${row[labelField]}: ${row[valueField]}`);
-    });
+    const categoryScale = d3
+      .scaleBand()
+      .domain(categories)
+      .range(isHorizontal ? [0, plotHeight] : [0, plotWidth])
+      .paddingInner(config.barPadding ?? 0.2)
+      .paddingOuter(0.1);
+    valueScale.range(isHorizontal ? [0, plotWidth] : [plotHeight, 0]);
+
+    const spanKey = this.resolveSpanStateKey(chartMeta, 'bar');
+    const previousSpanState = this.getPreviousSpanState(chartMeta, spanKey);
+    if (previousSpanState) {
+      valueScale.domain(previousSpanState.valueDomain);
+    }
 
-    
-  }
+    const useSubBands = hasMultiSeries && !isStacked;
+    const subScale = d3
+      .scaleBand()
+      .domain(seriesKeys)
+      .range([0, categoryScale.bandwidth()])
+      .padding(0.08);
+
+    // dualAnnotations 用にプロット情報を記録（縦棒のみ値軸がY）
+    if (!isHorizontal) {
+      const innerPad = 14;
+      const titleH = title ? CHART_FONT.title + 36 : 0;
+      this.panelPlotInfo.push({
+        chartId: chartMeta?.id || null,
+        plotAbsX: panel.x + innerPad + leftGutter,
+        plotAbsY: panel.y + innerPad + titleH + topInset,
+        plotWidth,
+        plotHeight,
+        yDomain: [...valueDomain],
+        xDomain: null,
+      });
+    }
 
-  resolvePieDataset(dataset, config) {
-    if (Array.isArray(dataset)) {
-      const rowField = config.rowField;
-      const rowValue = config.rowValue;
-      if (rowField && rowValue != null) {
-        const row = dataset.find((d) => String(d?.[rowField] ?? '').trim() === String(rowValue).trim());
-        if (!row) return [];
+    const styleAxisText = (g) => g.selectAll('text').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.axis);
+    const styleAxisLines = (g) => g.selectAll('line,path').attr('stroke', CHART_COLOR.axisLine).attr('opacity', 0.5);
 
-        const categoryColumns = Array.isArray(config.categoryColumns) && config.categoryColumns.length > 0
-          ? config.categoryColumns
-          : Object.keys(row).filter((key) => key !== rowField);
+    // グリッドライン（値軸）
+    const gridGroup = config.gridLines !== false
+      ? plotGroup.append('g').attr('class', 'grid-lines')
+      : null;
+    const drawGridLines = () => {
+      if (!gridGroup) return;
+      gridGroup.selectAll('line').remove();
+      gridGroup
+        .selectAll('line')
+        .data(valueScale.ticks(5))
+        .enter()
+        .append('line')
+        .attr('x1', (d) => (isHorizontal ? valueScale(d) : 0))
+        .attr('y1', (d) => (isHorizontal ? 0 : valueScale(d)))
+        .attr('x2', (d) => (isHorizontal ? valueScale(d) : plotWidth))
+        .attr('y2', (d) => (isHorizontal ? plotHeight : valueScale(d)))
+        .attr('stroke', CHART_COLOR.axisLine)
+        .attr('stroke-opacity', 0.12)
+        .attr('stroke-dasharray', '2 4');
+    };
+    drawGridLines();
+
+    // カテゴリが多い場合は目盛りを間引く
+    const categoryExtent = isHorizontal ? plotHeight : plotWidth;
+    const maxCategoryTicks = Math.max(2, Math.floor(categoryExtent / (isHorizontal ? 22 : 48)));
+    const tickStep = Math.ceil(categories.length / maxCategoryTicks);
+    const categoryAxis = (isHorizontal ? d3.axisLeft(categoryScale) : d3.axisBottom(categoryScale))
+      .tickValues(categories.filter((_, i) => i % tickStep === 0))
+      .tickSizeOuter(0);
+    const valueAxis = (isHorizontal ? d3.axisBottom(valueScale) : d3.axisLeft(valueScale)).ticks(5);
+    const valueTickFormat = createAxisTickFormat(config);
+    if (valueTickFormat) valueAxis.tickFormat(valueTickFormat);
+
+    plotGroup
+      .append('g')
+      .attr('transform', isHorizontal ? null : `translate(0, ${plotHeight})`)
+      .call(categoryAxis)
+      .call(styleAxisText)
+      .call(styleAxisLines);
+    const valueAxisGroup = plotGroup
+      .append('g')
+      .attr('transform', isHorizontal ? `translate(0, ${plotHeight})` : null)
+      .call(valueAxis)
+      .call(styleAxisText)
+      .call(styleAxisLines);
+
+    const palette = this.buildPalette(Math.max(seriesKeys.length, 1));
+    if (!hasMultiSeries) {
+      palette[0] = config.color || this.getThemePrimary();
+    }
+    if (config.colors) {
+      seriesKeys.forEach((key, i) => {
+        if (config.colors[key]) palette[i] = config.colors[key];
+      });
+    }
+    const color = d3.scaleOrdinal().domain(seriesKeys).range(palette);
+
+    const bandOffset = (d) => categoryScale(d.category) + (useSubBands ? subScale(d.series) : 0);
+    const bandSize = useSubBands ? subScale.bandwidth() : categoryScale.bandwidth();
+    const geometry = (d, v0, v1) => {
+      const lo = valueScale(Math.min(v0, v1));
+      const hi = valueScale(Math.max(v0, v1));
+      return isHorizontal
+        ? { x: lo, y: bandOffset(d), width: Math.max(0, hi - lo), height: bandSize }
+        : { x: bandOffset(d), y: hi, width: bandSize, height: Math.max(0, lo - hi) };
+    };
+    const segmentKey = (d) => `${d.category}|${d.series}`;
+    const targetExtent = (d) => [d.v0, d.v1];
+    const startExtent = (d) => previousSpanState?.segments.get(segmentKey(d)) || [d.v0, d.v0];
+    const applyGeometry = (selection, extentOf) => selection
+      .attr('x', (d) => geometry(d, ...extentOf(d)).x)
+      .attr('y', (d) => geometry(d, ...extentOf(d)).y)
+      .attr('width', (d) => geometry(d, ...extentOf(d)).width)
+      .attr('height', (d) => geometry(d, ...extentOf(d)).height);
+
+    const highlightSet = new Set(
+      Array.isArray(config.highlight) ? config.highlight : config.highlight ? [config.highlight] : []
+    );
+    const baseOpacity = (d) => (highlightSet.size === 0 || highlightSet.has(d.category) || highlightSet.has(d.series) ? 0.9 : 0.3);
+
+    const barGroup = plotGroup.append('g').attr('class', 'bar-series');
+    const bars = barGroup
+      .selectAll('rect')
+      .data(segments)
+      .enter()
+      .append('rect')
+      .attr('fill', (d) => color(d.series))
+      .attr('fill-opacity', baseOpacity)
+      .attr('rx', Math.min(3, bandSize / 4))
+      .call((selection) => applyGeometry(selection, startExtent));
+
+    const staggerDelay = panel._gridIndex != null ? panel._gridIndex * 80 : 0;
+    if (previousSpanState) {
+      // 前回stepの値軸・棒の長さから補間
+      valueScale.domain(valueDomain);
+      const transition = d3.transition().duration(motionDuration(850)).ease(d3.easeCubicInOut);
+      drawGridLines();
+      valueAxisGroup
+        .transition(transition)
+        .call(valueAxis)
+        .call(styleAxisText)
+        .call(styleAxisLines);
+      bars
+        .transition(transition)
+        .call((selection) => applyGeometry(selection, targetExtent));
+    } else {
+      bars
+        .transition()
+        .duration(motionDuration(700))
+        .delay((d) => motionDuration(staggerDelay + categories.indexOf(d.category) * 25 + (isStacked ? d.seriesIndex * 120 : 0)))
+        .ease(d3.easeCubicOut)
+        .call((transition) => applyGeometry(transition, targetExtent));
+    }
+
+    if (spanKey) {
+      this.chartSpanState.set(spanKey, {
+        valueDomain: [...valueDomain],
+        segments: new Map(segments.map((d) => [segmentKey(d), [d.v0, d.v1]])),
+      });
+    }
+
+    // 値ラベル（積み上げ時は合計を表示）
+    if (config.showValues) {
+      const labelData = isStacked
+        ? pivoted.map((entry) => ({ category: entry.__category, series: seriesKeys[0], v0: 0, v1: totalOf(entry), value: totalOf(entry) }))
+        : segments;
+      barGroup
+        .selectAll('text.bar-value')
+        .data(labelData)
+        .enter()
+        .append('text')
+        .attr('class', 'bar-value')
+        .attr('x', (d) => {
+          const g = geometry({ ...d, series: isStacked ? seriesKeys[0] : d.series }, 0, d.v1);
+          return isHorizontal ? g.x + g.width + 4 : g.x + g.width / 2;
+        })
+        .attr('y', (d) => {
+          const g = geometry({ ...d, series: isStacked ? seriesKeys[0] : d.series }, 0, d.v1);
+          return isHorizontal ? g.y + g.height / 2 : g.y - 4;
+        })
+        .attr('text-anchor', isHorizontal ? 'start' : 'middle')
+        .attr('dominant-baseline', isHorizontal ? 'middle' : 'auto')
+        .attr('fill', CHART_COLOR.axisText)
+        .attr('font-size', CHART_FONT.axis)
+        .attr('opacity', 0)
+        .text((d) => formatValue(d.value))
+        .transition()
+        .delay(motionDuration(staggerDelay + 700))
+        .duration(motionDuration(300))
+        .attr('opacity', 1);
+    }
+
+    if (hasMultiSeries) {
+      this.drawBarLegend(inner.group, seriesKeys, color, leftGutter);
+    }
+
+    // アノテーション: 値軸の補助線は縦棒=horizontalLine、横棒=verticalLine
+    const categoryAnnotationScale = this.createBandAnnotationScale(categoryScale);
+    if (isHorizontal) {
+      this.renderLineAnnotations(plotGroup, valueScale, categoryAnnotationScale, plotWidth, plotHeight, config.annotations);
+    } else {
+      this.renderLineAnnotations(plotGroup, categoryAnnotationScale, valueScale, plotWidth, plotHeight, config.annotations);
+    }
+
+    this.attachBarTooltip(plotGroup, bars, color, baseOpacity, hasMultiSeries, formatValue, {
+      label: title,
+      bounds: { x: 0, y: 0, width: plotWidth, height: plotHeight },
+      categories,
+      seriesKeys,
+      anchorOf: (d) => {
+        const g = geometry(d, d.v0, d.v1);
+        return isHorizontal ? [g.x + g.width, g.y + g.height / 2] : [g.x + g.width / 2, g.y];
+      },
+    });
+  }
+
+  attachBarTooltip(plotGroup, bars, color, baseOpacity, hasMultiSeries, formatValue = d3.format(','), navigation = null) {
+    const tooltipGroup = plotGroup.append('g').attr('class', 'bar-tooltip').attr('opacity', 0).style('pointer-events', 'none');
+
+    // 棒のツールチップを [x, y] の位置に表示し、読み上げ文を返す
+    const showBar = (d, [px, py]) => {
+      bars.attr('fill-opacity', (b) => (b === d ? 1 : baseOpacity(b) * 0.5));
+      const valueText = `${hasMultiSeries ? `${d.series}: ` : ''}${formatValue(d.value)}`;
+      this.drawTooltipBox(tooltipGroup, px + 12, Math.max(14, py - 8), [
+        { text: d.category, fill: CHART_COLOR.axisText },
+        { text: valueText, fill: color(d.series) },
+      ]);
+      return `${d.category} ${valueText}`;
+    };
+
+    const hide = () => {
+      bars.attr('fill-opacity', baseOpacity);
+      tooltipGroup.attr('opacity', 0);
+    };
+
+    bars
+      .style('cursor', 'pointer')
+      .on('mousemove', (event, d) => {
+        showBar(d, d3.pointer(event, plotGroup.node()));
+      })
+      .on('click', (event, d) => {
+        this.inspectOnTap(plotGroup.node(), showBar(d, d3.pointer(event, plotGroup.node())), hide);
+      })
+      .on('mouseleave', hide);
+
+    if (!navigation) return;
+    const { label, bounds, categories, seriesKeys, anchorOf } = navigation;
+    const segments = bars.data();
+    this.attachTooltipNavigation(plotGroup, {
+      label,
+      bounds,
+      columns: categories.length,
+      rows: hasMultiSeries ? seriesKeys.length : 1,
+      show: (column, row) => {
+        const category = categories[column];
+        const d = segments.find((s) => s.category === category && (!hasMultiSeries || s.series === seriesKeys[row]));
+        if (!d) {
+          hide();
+          return `${category}${hasMultiSeries ? ` ${seriesKeys[row]}` : ''} ${t('common.noData')}`;
+        }
+        return showBar(d, anchorOf(d));
+      },
+      hide,
+    });
+  }
+
+  drawBarLegend(group, seriesKeys, color, offsetX) {
+    const legend = group.append('g').attr('class', 'bar-legend').attr('transform', `translate(${offsetX}, 0)`);
+    let cursorX = 0;
+    seriesKeys.forEach((key) => {
+      legend
+        .append('rect')
+        .attr('x', cursorX)
+        .attr('y', 2)
+        .attr('width', 10)
+        .attr('height', 10)
+        .attr('fill', color(key));
+      legend
+        .append('text')
+        .attr('x', cursorX + 14)
+        .attr('y', 7)
+        .attr('dominant-baseline', 'middle')
+        .attr('fill', CHART_COLOR.axisText)
+        .attr('font-size', CHART_FONT.series)
+        .text(key);
+      cursorX += 28 + key.length * CHART_FONT.series * 0.9;
+    });
+  }
+
+  /**
+   * バンドスケールをアノテーション用の数値スケール風関数に変換（カテゴリ中心を返す）
+   */
+  createBandAnnotationScale(band) {
+    const numeric = band.domain().map(Number).filter(Number.isFinite);
+    const scale = (value) => {
+      const key = band.domain().find((d) => d === String(value) || Number(d) === Number(value));
+      return key == null ? NaN : band(key) + band.bandwidth() / 2;
+    };
+    scale.domain = () => (numeric.length > 0 ? d3.extent(numeric) : [-Infinity, Infinity]);
+    return scale;
+  }
+
+  resolveCategoryLabelGutter(categories) {
+    const maxLength = d3.max(categories, (c) => String(c).length) || 4;
+    const estimated = 16 + maxLength * CHART_FONT.axis;
+    return Math.max(56, Math.min(180, estimated));
+  }
+
+  renderPie(panel, dataset, config, chartMeta = {}) {
+    const pieData = this.resolvePieDataset(dataset, config);
+    if (!Array.isArray(pieData) || pieData.length === 0) {
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'pie' }));
+      return;
+    }
+
+    const labelField = config.labelField || 'label';
+    const valueField = config.valueField || 'value';
+    const rows = pieData
+      .map((d) => ({
+        ...d,
+        __pieValue: this.parsePieNumericValue(d[valueField]),
+      }))
+      .filter((d) => d[labelField] != null && Number.isFinite(d.__pieValue));
+    if (rows.length === 0) {
+      this.renderUnsupported(panel, t('chart.error.invalid', { type: 'pie' }));
+      return;
+    }
+
+    const title = config.title || config.groupTitle || chartTypeLabel('pie');
+    const formatValue = createNumberFormatter(config);
+    const inner = this.createPanelInner(panel, title, { compact: true });
+    const radius = Math.max(24, Math.min(inner.width, inner.height) * 0.33);
+
+    const pie = d3.pie().value((d) => d.__pieValue).sort(null);
+    const arc = d3.arc().innerRadius(0).outerRadius(radius);
+
+    const palette = this.buildPalette(rows.length);
+    if (config.primaryColor) {
+      palette[0] = config.primaryColor;
+    }
+    if (config.remainderColor && rows.length === 2) {
+      palette[1] = config.remainderColor;
+    }
+    const root = inner.group
+      .append('g')
+      .attr('transform', `translate(${inner.width / 2}, ${inner.height / 2 - 8})`);
+
+    const staggerDelay = panel._gridIndex != null ? panel._gridIndex * 80 : 0;
+
+    const arcsData = pie(rows);
+    const totalEndAngle = arcsData[arcsData.length - 1].endAngle;
+
+    const spanKey = this.resolveSpanStateKey(chartMeta, 'pie');
+    const previousSpanState = this.getPreviousSpanState(chartMeta, spanKey);
+
+    const slices = root
+      .selectAll('path')
+      .data(arcsData)
+      .enter()
+      .append('path')
+      .attr('fill', (_, i) => palette[i])
+      .attr('stroke', '#ffffff')
+      .attr('stroke-width', 1)
+      .attr('opacity', 0.95);
+
+    if (previousSpanState) {
+      // 同一ラベルの前回角度から補間（新規ラベルは末尾から広がる）
+      const startAngleOf = (d) => previousSpanState.angles.get(String(d.data[labelField])) || {
+        startAngle: previousSpanState.totalEndAngle,
+        endAngle: previousSpanState.totalEndAngle,
+      };
+      slices
+        .attr('d', (d) => arc({ ...d, ...startAngleOf(d) }))
+        .transition()
+        .duration(motionDuration(850))
+        .ease(d3.easeCubicInOut)
+        .attrTween('d', (d) => {
+          const interpolate = d3.interpolate(startAngleOf(d), { startAngle: d.startAngle, endAngle: d.endAngle });
+          return (progress) => arc({ ...d, ...interpolate(progress) });
+        });
+    } else {
+      slices
+        .attr('d', (d) => arc({ ...d, endAngle: d.startAngle }))
+        .transition()
+        .duration(motionDuration(800))
+        .delay(motionDuration(staggerDelay))
+        .ease(d3.easeCubicOut)
+        .attrTween('d', (d) => {
+          return (progress) => {
+            const sweep = progress * totalEndAngle;
+            if (sweep <= d.startAngle) {
+              return arc({ ...d, endAngle: d.startAngle });
+            }
+            return arc({ ...d, endAngle: Math.min(d.endAngle, sweep) });
+          };
+        });
+    }
+
+    if (spanKey) {
+      this.chartSpanState.set(spanKey, {
+        angles: new Map(arcsData.map((d) => [String(d.data[labelField]), { startAngle: d.startAngle, endAngle: d.endAngle }])),
+        totalEndAngle,
+      });
+    }
+
+    const legend = inner.group
+      .append('g')
+      .attr('transform', `translate(0, ${inner.height - Math.min(rows.length * 15, inner.height * 0.38)})`);
+
+    rows.slice(0, 6).forEach((row, i) => {
+      const y = i * 15;
+      legend
+        .append('rect')
+        .attr('x', 0)
+        .attr('y', y - 9)
+        .attr('width', 9)
+        .attr('height', 9)
+        .attr('fill', palette[i]);
+      legend
+        .append('text')
+        .attr('x', 14)
+        .attr('y', y)
+        .attr('fill', CHART_COLOR.axisText)
+        .attr('font-size', CHART_FONT.series)
+        .text(`${row[labelField]}: ${hasNumberFormat(config) ? formatValue(row.__pieValue) : row[valueField]}`);
+    });
+
+    // ツールチップ（ホバー・タップ・キーボード）
+    const pieTotal = d3.sum(rows, (d) => d.__pieValue);
+    const tooltipGroup = root.append('g').attr('class', 'pie-tooltip').attr('opacity', 0).style('pointer-events', 'none');
+    const showSlice = (d, [px, py]) => {
+      slices.attr('opacity', (s) => (s === d ? 1 : 0.45));
+      const valueText = hasNumberFormat(config) ? formatValue(d.data.__pieValue) : String(d.data[valueField]);
+      const percent = pieTotal > 0 ? `${Math.round((d.data.__pieValue / pieTotal) * 1000) / 10}%` : '―';
+      this.drawTooltipBox(tooltipGroup, px + 12, py - 8, [
+        { text: String(d.data[labelField]), fill: CHART_COLOR.axisText },
+        { text: t('chart.valueWithShare', { value: valueText, percent }), fill: palette[d.index] },
+      ], 130);
+      return `${d.data[labelField]}: ${t('chart.valueWithShare', { value: valueText, percent })}`;
+    };
+    const hide = () => {
+      slices.attr('opacity', 0.95);
+      tooltipGroup.attr('opacity', 0);
+    };
+
+    slices
+      .style('cursor', 'pointer')
+      .on('mousemove', (event, d) => {
+        showSlice(d, d3.pointer(event, root.node()));
+      })
+      .on('click', (event, d) => {
+        this.inspectOnTap(root.node(), showSlice(d, d3.pointer(event, root.node())), hide);
+      })
+      .on('mouseleave', hide);
+
+    this.attachTooltipNavigation(root, {
+      label: title,
+      bounds: { x: -radius, y: -radius, width: radius * 2, height: radius * 2 },
+      columns: arcsData.length,
+      show: (column) => showSlice(arcsData[column], arc.centroid(arcsData[column])),
+      hide,
+    });
+  }
+
+  /**
+   * ワッフル（ユニット）チャート。構成比を units 個のマス・アイコンで表す（「N人に1人」の表現向け）。
+   * データの選び方は pie と同じ（rowField / rowValue / categoryColumns / normalizeTo / groupId）
+   */
+  renderWaffle(panel, dataset, config, chartMeta = {}) {
+    const labelField = config.labelField || 'label';
+    const valueField = config.valueField || 'value';
+    const rows = (this.resolvePieDataset(dataset, config) || [])
+      .filter((d) => d?.[labelField] != null)
+      .map((d) => ({ label: String(d[labelField]), value: this.parsePieNumericValue(d[valueField]) }))
+      .filter((d) => Number.isFinite(d.value) && d.value >= 0);
+    const total = d3.sum(rows, (d) => d.value);
+    if (rows.length === 0 || !(total > 0)) {
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'waffle' }));
+      return;
+    }
+
+    const title = config.title || config.groupTitle || chartTypeLabel('waffle');
+    const formatValue = createNumberFormatter(config);
+    const inner = this.createPanelInner(panel, title, { compact: true });
+
+    const unitCount = Math.max(1, Math.round(Number(config.units) || 100));
+    const columns = Math.max(1, Math.round(Number(config.columns) || Math.ceil(Math.sqrt(unitCount))));
+    const gridRows = Math.ceil(unitCount / columns);
+    const counts = allocateUnits(rows.map((d) => d.value), unitCount);
+    const units = counts.flatMap((count, i) => Array.from({ length: count }, () => rows[i].label))
+      .map((label, index) => ({ label, index }));
+
+    const palette = this.buildPalette(rows.length);
+    if (config.primaryColor) {
+      palette[0] = config.primaryColor;
+    }
+    if (config.remainderColor && rows.length === 2) {
+      palette[1] = config.remainderColor;
+    }
+    const colorOf = new Map(rows.map((d, i) => [d.label, palette[i]]));
+    const emptyColor = config.emptyColor || '#e5e7eb';
+
+    // 凡例の下に「1つあたりの値」を添える
+    const legendRows = rows.slice(0, 6);
+    const legendHeight = (legendRows.length + 1) * 16 + 4;
+    const gridHeight = Math.max(0, inner.height - legendHeight - 8);
+    const cell = Math.max(2, Math.min(inner.width / columns, gridHeight / gridRows));
+    const size = cell * 0.86;
+    const offsetX = (inner.width - cell * columns) / 2;
+    const offsetY = (gridHeight - cell * gridRows) / 2;
+    const positionOf = (d) => ({
+      x: offsetX + (d.index % columns) * cell,
+      y: offsetY + Math.floor(d.index / columns) * cell,
+    });
+
+    const icon = WAFFLE_ICONS.includes(config.icon) ? config.icon : 'square';
+    const grid = inner.group.append('g').attr('class', 'waffle-units');
+    let marks;
+    if (icon === 'circle') {
+      marks = grid.selectAll('circle').data(units).enter().append('circle')
+        .attr('cx', (d) => positionOf(d).x + size / 2)
+        .attr('cy', (d) => positionOf(d).y + size / 2)
+        .attr('r', size / 2);
+    } else if (icon === 'person') {
+      marks = grid.selectAll('path').data(units).enter().append('path')
+        .attr('d', PERSON_ICON_PATH)
+        .attr('transform', (d) => `translate(${positionOf(d).x}, ${positionOf(d).y}) scale(${size / PERSON_ICON_SIZE})`);
+    } else {
+      marks = grid.selectAll('rect').data(units).enter().append('rect')
+        .attr('x', (d) => positionOf(d).x)
+        .attr('y', (d) => positionOf(d).y)
+        .attr('width', size)
+        .attr('height', size)
+        .attr('rx', size * 0.15);
+    }
+
+    // 同じ span の前回の色から塗り替える（初回は空のマスから順に塗る）
+    const spanKey = this.resolveSpanStateKey(chartMeta, 'waffle');
+    const previousSpanState = this.getPreviousSpanState(chartMeta, spanKey);
+    const staggerDelay = panel._gridIndex != null ? panel._gridIndex * 80 : 0;
+    marks
+      .attr('fill', (d) => previousSpanState?.unitColors[d.index] ?? emptyColor)
+      .transition()
+      .delay((d) => motionDuration(staggerDelay + (d.index / unitCount) * 700))
+      .duration(motionDuration(previousSpanState ? 450 : 300))
+      .ease(d3.easeCubicOut)
+      .attr('fill', (d) => colorOf.get(d.label));
+
+    if (spanKey) {
+      this.chartSpanState.set(spanKey, { unitColors: units.map((d) => colorOf.get(d.label)) });
+    }
+
+    const legend = inner.group
+      .append('g')
+      .attr('transform', `translate(0, ${inner.height - legendHeight + 12})`);
+    legendRows.forEach((row, i) => {
+      const y = i * 16;
+      legend
+        .append('rect')
+        .attr('x', 0)
+        .attr('y', y - 9)
+        .attr('width', 9)
+        .attr('height', 9)
+        .attr('fill', colorOf.get(row.label));
+      legend
+        .append('text')
+        .attr('x', 14)
+        .attr('y', y)
+        .attr('fill', CHART_COLOR.axisText)
+        .attr('font-size', CHART_FONT.series)
+        .text(`${row.label}: ${formatValue(row.value)}`);
+    });
+    legend
+      .append('text')
+      .attr('x', 0)
+      .attr('y', legendRows.length * 16)
+      .attr('fill', CHART_COLOR.axisText)
+      .attr('font-size', CHART_FONT.series)
+      .text(t('chart.waffle.unit', { value: formatValue(total / unitCount) }));
+
+    // ツールチップ（ホバー・タップ・キーボード）。同じ区分のマスを強調する
+    const tooltipGroup = inner.group.append('g').attr('class', 'waffle-tooltip').attr('opacity', 0).style('pointer-events', 'none');
+    const showCategory = (label, [px, py]) => {
+      const row = rows.find((d) => d.label === label);
+      if (!row) return null;
+      marks.attr('opacity', (d) => (d.label === label ? 1 : 0.35));
+      const percent = `${Math.round((row.value / total) * 1000) / 10}%`;
+      const valueText = t('chart.valueWithShare', { value: formatValue(row.value), percent });
+      this.drawTooltipBox(tooltipGroup, Math.min(px + 12, inner.width - 140), py - 8, [
+        { text: label, fill: CHART_COLOR.axisText },
+        { text: valueText, fill: colorOf.get(label) },
+      ], 130);
+      return `${label}: ${valueText}`;
+    };
+    const hide = () => {
+      marks.attr('opacity', 1);
+      tooltipGroup.attr('opacity', 0);
+    };
+
+    marks
+      .style('cursor', 'pointer')
+      .on('mousemove', (event, d) => {
+        showCategory(d.label, d3.pointer(event, inner.group.node()));
+      })
+      .on('click', (event, d) => {
+        this.inspectOnTap(inner.group.node(), showCategory(d.label, d3.pointer(event, inner.group.node())), hide);
+      })
+      .on('mouseleave', hide);
+
+    this.attachTooltipNavigation(inner.group, {
+      label: title,
+      bounds: { x: offsetX, y: offsetY, width: cell * columns, height: cell * gridRows },
+      columns: rows.length,
+      show: (column) => {
+        const first = units.find((d) => d.label === rows[column].label);
+        if (!first) {
+          hide();
+          return `${rows[column].label}: ${formatValue(rows[column].value)}`;
+        }
+        const { x, y } = positionOf(first);
+        return showCategory(first.label, [x + size / 2, y + size / 2]);
+      },
+      hide,
+    });
+  }
+
+  resolvePieDataset(dataset, config) {
+    if (Array.isArray(dataset)) {
+      const rowField = config.rowField;
+      const rowValue = config.rowValue;
+      if (rowField && rowValue != null) {
+        const row = dataset.find((d) => String(d?.[rowField] ?? '').trim() === String(rowValue).trim());
+        if (!row) return [];
+
+        const categoryColumns = Array.isArray(config.categoryColumns) && config.categoryColumns.length > 0
+          ? config.categoryColumns
+          : Object.keys(row).filter((key) => key !== rowField);
 
         const selected = categoryColumns
-          .map((label) => ({ label, value: this.parsePieNumericValue(row[label]) }))
+          .map((column) => ({ label: config.labels?.[column] ?? column, value: this.parsePieNumericValue(row[column]) }))
           .filter((d) => Number.isFinite(d.value));
 
         if (selected.length === 0) return [];
@@ -1396,7 +2677,7 @@ export class ChartLayer {
           const total = Number(config.normalizeTo);
           const remainder = Math.round(Math.max(0, total - selected[0].value) * 10) / 10;
           selected.push({
-            label: config.remainderLabel || '未治療',
+            label: config.remainderLabel || t('chart.pieRemainder'),
             value: remainder,
           });
         }
@@ -1429,96 +2710,80 @@ export class ChartLayer {
   renderSankey(panel, dataset, config) {
     const graph = this.normalizeSankeyData(dataset);
     if (!graph || graph.nodes.length === 0 || graph.links.length === 0) {
-      this.renderUnsupported(panel, 'sankeyデータが不正です');
+      this.renderUnsupported(panel, t('chart.error.invalid', { type: 'sankey' }));
       return;
     }
 
-    const title = config.title || 'サンキー・ダイアグラム';
+    const title = config.title || chartTypeLabel('sankey');
+    const formatValue = createNumberFormatter(config);
+    // format/unit 指定時のみノード値をラベルに併記
+    const showNodeValues = config.showValues ?? hasNumberFormat(config);
+    // 始点の合計に対する割合は既定で併記
+    const showPercentages = config.showPercentages ?? true;
+    const labelPosition = config.labelPosition === 'outside' ? 'outside' : 'inside';
     const inner = this.createPanelInner(panel, title);
-    const width = inner.width;
+    // outside では最初・最後の列のラベルを流れの外に置くため、左右に余白をとる
+    const labelMargin = labelPosition === 'outside' ? Math.min(inner.width * 0.2, 180) : 0;
+    const width = inner.width - labelMargin * 2;
     const height = inner.height;
-
-    const nodeById = new Map(graph.nodes.map((n) => [n.id, { ...n, in: [], out: [], level: 0 }]));
-    const links = graph.links
-      .map((l) => ({
-        source: nodeById.get(l.source),
-        target: nodeById.get(l.target),
-        value: Number(l.value),
-      }))
-      .filter((l) => l.source && l.target && Number.isFinite(l.value) && l.value > 0);
-
-    links.forEach((l) => {
-      l.source.out.push(l);
-      l.target.in.push(l);
-    });
-
-    this.assignNodeLevels(nodeById);
-
-    const levels = new Map();
-    [...nodeById.values()].forEach((node) => {
-      if (!levels.has(node.level)) levels.set(node.level, []);
-      levels.get(node.level).push(node);
-    });
-
-    const levelKeys = [...levels.keys()].sort((a, b) => a - b);
-    const maxLevel = Math.max(...levelKeys, 1);
-    const nodeGap = 12;
     const nodeWidth = Math.max(8, Math.min(18, width * 0.03));
-    const maxTotal = Math.max(
-      ...levelKeys.map((lv) => levels.get(lv).reduce((sum, n) => sum + this.nodeValue(n), 0)),
-      1
-    );
-    const unit = (height - nodeGap * 6) / maxTotal;
-
-    levelKeys.forEach((lv) => {
-      const nodes = levels.get(lv);
-      const totalValue = nodes.reduce((sum, n) => sum + this.nodeValue(n), 0);
-      const usedHeight = totalValue * unit + (nodes.length - 1) * nodeGap;
-      let cursorY = (height - usedHeight) / 2;
-
-      nodes.forEach((node) => {
-        node.h = Math.max(8, this.nodeValue(node) * unit);
-        node.w = nodeWidth;
-        node.x = (lv / maxLevel) * (width - nodeWidth);
-        node.y = cursorY;
-        node.inOffset = 0;
-        node.outOffset = 0;
-        cursorY += node.h + nodeGap;
+
+    let layout;
+    try {
+      layout = computeSankeyLayout(graph, {
+        width,
+        height,
+        nodeWidth,
+        nodePadding: Number(config.nodePadding) || 16,
+        align: config.nodeAlign,
+        nodeSort: config.nodeSort,
       });
-    });
+    } catch (error) {
+      console.warn('sankey layout failed', error);
+      this.renderUnsupported(panel, t('chart.error.sankeyCycle'));
+      return;
+    }
+    const { nodes, links, columns } = layout;
+    if (links.length === 0) {
+      this.renderUnsupported(panel, t('chart.error.invalid', { type: 'sankey' }));
+      return;
+    }
+
+    const plot = inner.group.append('g').attr('transform', `translate(${labelMargin}, 0)`);
 
-    // ノードにレベルベースの色を割り当て
-    const nodePalette = this.buildPalette(Math.max(levelKeys.length, 2));
-    const nodes = [...nodeById.values()];
+    // ノードは列ごとの色（データに color があればそれを使う）
+    const nodePalette = this.buildPalette(Math.max(columns.length, 2));
     nodes.forEach((node) => {
-      node.color = nodePalette[Math.min(node.level, nodePalette.length - 1)];
+      node.color = node.color || nodePalette[Math.min(node.layer, nodePalette.length - 1)];
     });
 
-    const linkLayer = inner.group.append('g').attr('fill', 'none');
-    const linkPaths = [];
-    const levelDelay = 600; // レベルごとの遅延ms
+    const total = d3.sum(nodes.filter((node) => node.targetLinks.length === 0), (node) => node.value) || 1;
+    const formatShare = (value, base) => `${Math.round((value / base) * 1000) / 10}%`;
+    const nodeDetail = (node) => {
+      const value = formatValue(node.value);
+      const percent = formatShare(node.value, total);
+      if (showNodeValues && showPercentages) return t('chart.valueWithShare', { value, percent });
+      if (showNodeValues) return value;
+      return showPercentages ? percent : '';
+    };
 
-    links.forEach((link, li) => {
-      const thickness = Math.max(1.5, link.value * unit);
-      const x1 = link.source.x + link.source.w;
-      const y1 = link.source.y + link.source.outOffset + thickness / 2;
-      const x2 = link.target.x;
-      const y2 = link.target.y + link.target.inOffset + thickness / 2;
-      link.source.outOffset += thickness;
-      link.target.inOffset += thickness;
+    const linkLayer = plot.append('g').attr('fill', 'none');
+    const levelDelay = 600; // 列ごとの遅延ms
 
-      const c1 = x1 + (x2 - x1) * 0.45;
-      const c2 = x1 + (x2 - x1) * 0.55;
-      const pathD = `M${x1},${y1} C${c1},${y1} ${c2},${y2} ${x2},${y2}`;
+    const linkPaths = links.map((link) => {
+      const x1 = link.source.x1;
+      const x2 = link.target.x0;
+      const xm = (x1 + x2) / 2;
+      const pathD = `M${x1},${link.y0} C${xm},${link.y0} ${xm},${link.y1} ${x2},${link.y1}`;
 
       // リンクグラデーション
-      const gradId = `sankey-link-grad-${li}-${panel.x}-${panel.y}`;
+      const gradId = `sankey-link-grad-${link.index}-${panel.x}-${panel.y}`;
       this.defs
         .append('linearGradient')
         .attr('id', gradId)
         .attr('gradientUnits', 'userSpaceOnUse')
-        .attr('x1', x1).attr('y1', y1)
-        .attr('x2', x2).attr('y2', y2)
+        .attr('x1', x1).attr('y1', link.y0)
+        .attr('x2', x2).attr('y2', link.y1)
         .selectAll('stop')
         .data([
           { offset: '0%', color: link.source.color },
@@ -1533,39 +2798,37 @@ export class ChartLayer {
         .append('path')
         .attr('d', pathD)
         .attr('stroke', `url(#${gradId})`)
-        .attr('stroke-width', thickness)
+        .attr('stroke-width', Math.max(1, link.width))
         .attr('stroke-opacity', 0);
 
       // リンクのパス長を取得してstroke-dashで流れるアニメーション
-      const pathNode = pathEl.node();
-      const pathLength = pathNode.getTotalLength();
+      const pathLength = pathEl.node().getTotalLength();
       pathEl
         .attr('stroke-dasharray', pathLength)
         .attr('stroke-dashoffset', pathLength);
 
-      // リンクはソースノードの次のレベルタイミングで描画（ノード登場後に流れ出す）
-      const linkDelay = link.source.level * levelDelay + 300;
+      // リンクは流出元の列の次のタイミングで描画（ノード登場後に流れ出す）
       pathEl
         .transition()
-        .delay(linkDelay)
-        .duration(500)
+        .delay(motionDuration(link.source.layer * levelDelay + 300))
+        .duration(motionDuration(500))
         .ease(d3.easeCubicOut)
         .attr('stroke-opacity', 0.35)
         .attr('stroke-dashoffset', 0);
 
-      linkPaths.push({ el: pathEl, link });
+      return { el: pathEl, link, mid: { x: xm, y: (link.y0 + link.y1) / 2 } };
     });
 
-    const nodeLayer = inner.group.append('g');
+    const nodeLayer = plot.append('g');
 
     const nodeRects = nodeLayer
       .selectAll('rect')
       .data(nodes)
       .enter()
       .append('rect')
-      .attr('x', (d) => d.x)
-      .attr('y', (d) => d.y)
-      .attr('width', (d) => d.w)
+      .attr('x', (d) => d.x0)
+      .attr('y', (d) => d.y0)
+      .attr('width', (d) => d.x1 - d.x0)
       .attr('height', 0)
       .attr('fill', (d) => d.color)
       .attr('fill-opacity', 0)
@@ -1574,125 +2837,199 @@ export class ChartLayer {
       .style('pointer-events', 'all')
       .style('cursor', 'pointer');
 
-    // レベルごとに段階的にフェードイン
+    // 列ごとに段階的にフェードイン
     nodeRects
       .transition()
-      .delay((d) => d.level * levelDelay)
-      .duration(400)
+      .delay((d) => motionDuration(d.layer * levelDelay))
+      .duration(motionDuration(400))
       .ease(d3.easeCubicOut)
-      .attr('height', (d) => d.h)
+      .attr('height', (d) => Math.max(1, d.y1 - d.y0))
       .attr('fill-opacity', 0.88);
 
-    // ホバー強調
-    nodeRects
-      .on('mouseenter', (_event, hoveredNode) => {
-        linkPaths.forEach(({ el, link }) => {
-          const isRelated = link.source.id === hoveredNode.id || link.target.id === hoveredNode.id;
-          el.transition().duration(200).attr('stroke-opacity', isRelated ? 0.7 : 0.08);
-        });
-      })
-      .on('mouseleave', () => {
-        linkPaths.forEach(({ el }) => {
-          el.transition().duration(200).attr('stroke-opacity', 0.35);
-        });
-      });
-
-    // ラベルもレベルごとにフェードイン
-    nodeLayer
+    // ラベルは流れの内側（中央寄り）に置く。outside では最初・最後の列を外側に置く
+    const lastLayer = columns.length - 1;
+    const labelOnRight = (node) => {
+      if (labelPosition === 'outside' && lastLayer > 0) {
+        if (node.layer === 0) return false;
+        if (node.layer === lastLayer) return true;
+      }
+      return node.x0 < width / 2;
+    };
+    const labels = nodeLayer
       .selectAll('text.sankey-label')
       .data(nodes)
       .enter()
       .append('text')
       .attr('class', 'sankey-label')
-      .attr('x', (d) => (d.level === 0 ? d.x + d.w + 6 : d.x - 6))
-      .attr('y', (d) => d.y + d.h / 2 + 3)
-      .attr('text-anchor', (d) => (d.level === 0 ? 'start' : 'end'))
+      .attr('x', (d) => (labelOnRight(d) ? d.x1 + 6 : d.x0 - 6))
+      .attr('y', (d) => (d.y0 + d.y1) / 2 + (nodeDetail(d) ? -3 : 5))
+      .attr('text-anchor', (d) => (labelOnRight(d) ? 'start' : 'end'))
       .attr('fill', CHART_COLOR.title)
       .attr('font-size', CHART_FONT.series)
-      .attr('opacity', 0)
-      .text((d) => d.label)
+      .attr('paint-order', 'stroke')
+      .attr('stroke', '#ffffff')
+      .attr('stroke-width', 3)
+      .attr('stroke-linejoin', 'round')
+      .style('pointer-events', 'none')
+      .attr('opacity', 0);
+    labels.append('tspan').attr('font-weight', 600).text((d) => d.label);
+    labels
+      .filter((d) => nodeDetail(d))
+      .append('tspan')
+      .attr('x', (d) => (labelOnRight(d) ? d.x1 + 6 : d.x0 - 6))
+      .attr('dy', 16)
+      .attr('fill', CHART_COLOR.axisText)
+      .attr('font-size', CHART_FONT.series - 2)
+      .text(nodeDetail);
+
+    // ラベルも列ごとにフェードイン
+    labels
       .transition()
-      .delay((d) => d.level * levelDelay + 200)
-      .duration(300)
+      .delay((d) => motionDuration(d.layer * levelDelay + 200))
+      .duration(motionDuration(300))
       .attr('opacity', 1);
 
-    
-  }
-
-  normalizeSankeyData(dataset) {
-    if (dataset?.nodes && dataset?.links) {
-      const nodes = dataset.nodes.map((n, i) => ({
-        id: n.id ?? n.name ?? String(i),
-        label: n.name ?? n.id ?? String(i),
-      }));
-      const nodeIds = nodes.map((n) => n.id);
-      const links = dataset.links.map((l) => ({
-        source: typeof l.source === 'number' ? nodeIds[l.source] : l.source,
-        target: typeof l.target === 'number' ? nodeIds[l.target] : l.target,
-        value: Number(l.value),
-      }));
-      return { nodes, links };
-    }
-
-    if (Array.isArray(dataset)) {
-      const nodeSet = new Set();
-      const links = dataset.map((row) => {
-        const source = String(row.source ?? row.from ?? '');
-        const target = String(row.target ?? row.to ?? '');
-        nodeSet.add(source);
-        nodeSet.add(target);
-        return {
-          source,
-          target,
-          value: Number(row.value ?? row.count ?? 0),
-        };
+    // ノード・リンクを通る流れ全体（上流と下流）を強調する
+    const tracePath = (upstreamFrom, downstreamFrom, startLinks = []) => {
+      const pathLinks = new Set(startLinks);
+      const pathNodes = new Set([upstreamFrom, downstreamFrom]);
+      const walk = (node, linksKey, nextKey) => {
+        node[linksKey].forEach((link) => {
+          if (pathLinks.has(link)) return;
+          pathLinks.add(link);
+          pathNodes.add(link[nextKey]);
+          walk(link[nextKey], linksKey, nextKey);
+        });
+      };
+      walk(upstreamFrom, 'targetLinks', 'source');
+      walk(downstreamFrom, 'sourceLinks', 'target');
+      return { pathLinks, pathNodes };
+    };
+    const highlight = ({ pathLinks, pathNodes }) => {
+      linkPaths.forEach(({ el, link }) => {
+        el.transition().duration(motionDuration(200)).attr('stroke-opacity', pathLinks.has(link) ? 0.7 : 0.08);
       });
-      const nodes = [...nodeSet].filter(Boolean).map((id) => ({ id, label: id }));
-      return { nodes, links };
-    }
-
-    return null;
-  }
-
-  assignNodeLevels(nodeById) {
-    const nodes = [...nodeById.values()];
-    const indegree = new Map(nodes.map((n) => [n.id, n.in.length]));
-    const queue = nodes.filter((n) => n.in.length === 0);
-
-    if (queue.length === 0) {
-      nodes.forEach((n) => {
-        n.level = 0;
+      nodeRects.transition().duration(motionDuration(200)).attr('fill-opacity', (d) => (pathNodes.has(d) ? 0.88 : 0.3));
+      labels.transition().duration(motionDuration(200)).attr('opacity', (d) => (pathNodes.has(d) ? 1 : 0.35));
+    };
+    const resetHighlight = () => {
+      linkPaths.forEach(({ el }) => {
+        el.transition().duration(motionDuration(200)).attr('stroke-opacity', 0.35);
       });
-      return;
-    }
+      nodeRects.transition().duration(motionDuration(200)).attr('fill-opacity', 0.88);
+      labels.transition().duration(motionDuration(200)).attr('opacity', 1);
+    };
 
-    while (queue.length > 0) {
-      const node = queue.shift();
-      node.out.forEach((link) => {
-        const target = link.target;
-        target.level = Math.max(target.level, node.level + 1);
-        indegree.set(target.id, indegree.get(target.id) - 1);
-        if (indegree.get(target.id) === 0) {
-          queue.push(target);
-        }
+    // ツールチップ（ホバー・タップ・キーボード）
+    const tooltipGroup = plot.append('g').attr('class', 'sankey-tooltip').attr('opacity', 0).style('pointer-events', 'none');
+    const tooltipWidth = 190;
+    const tooltipX = (px) => (px + 12 + tooltipWidth > width ? px - tooltipWidth - 6 : px + 12);
+    const showLink = (entry, [px, py]) => {
+      const { link } = entry;
+      highlight(tracePath(link.source, link.target, [link]));
+      const valueText = t('chart.sankey.linkShare', {
+        value: formatValue(link.value),
+        percent: formatShare(link.value, link.source.value),
+        source: link.source.label,
       });
-    }
+      this.drawTooltipBox(tooltipGroup, tooltipX(px), Math.max(14, py - 8), [
+        { text: `${link.source.label} → ${link.target.label}`, fill: CHART_COLOR.axisText },
+        { text: valueText, fill: link.target.color },
+      ], tooltipWidth);
+      return `${link.source.label} → ${link.target.label}: ${valueText}`;
+    };
+    const showNode = (node, [px, py]) => {
+      highlight(tracePath(node, node));
+      const valueText = t('chart.valueWithShare', { value: formatValue(node.value), percent: formatShare(node.value, total) });
+      this.drawTooltipBox(tooltipGroup, tooltipX(px), Math.max(14, py - 8), [
+        { text: node.label, fill: CHART_COLOR.axisText },
+        { text: valueText, fill: node.color },
+      ], tooltipWidth);
+      return `${node.label}: ${valueText}`;
+    };
+    const hide = () => {
+      resetHighlight();
+      tooltipGroup.attr('opacity', 0);
+    };
+
+    linkPaths.forEach((entry) => {
+      entry.el
+        .style('cursor', 'pointer')
+        .on('mousemove', (event) => {
+          showLink(entry, d3.pointer(event, plot.node()));
+        })
+        .on('click', (event) => {
+          this.inspectOnTap(inner.group.node(), showLink(entry, d3.pointer(event, plot.node())), hide);
+        })
+        .on('mouseleave', hide);
+    });
+    nodeRects
+      .on('mousemove', (event, node) => {
+        showNode(node, d3.pointer(event, plot.node()));
+      })
+      .on('click', (event, node) => {
+        this.inspectOnTap(inner.group.node(), showNode(node, d3.pointer(event, plot.node())), hide);
+      })
+      .on('mouseleave', hide);
+
+    // キーボードでは左の列から、上から順にリンクをたどる
+    const orderedLinks = linkPaths.slice().sort((a, b) => (
+      a.link.source.layer - b.link.source.layer || a.link.y0 - b.link.y0
+    ));
+    this.attachTooltipNavigation(plot, {
+      label: title,
+      bounds: { x: 0, y: 0, width, height },
+      columns: orderedLinks.length,
+      show: (column) => showLink(orderedLinks[column], [orderedLinks[column].mid.x, orderedLinks[column].mid.y]),
+      hide,
+    });
   }
 
-  nodeValue(node) {
-    const inSum = d3.sum(node.in, (l) => l.value);
-    const outSum = d3.sum(node.out, (l) => l.value);
-    return Math.max(inSum, outSum, 1);
+  /**
+   * sankey のデータを { nodes: [{ id, label }], links: [{ source, target, value }] } にそろえる。
+   * JSON の links の source / target は nodes の番号・id・name のいずれでもよい（nodes に無い名前はノードを追加）。
+   * CSV（source,target,value の行）はリンクの端点の名前からノードを作る
+   */
+  normalizeSankeyData(dataset) {
+    const rows = Array.isArray(dataset) ? dataset : dataset?.links;
+    if (!Array.isArray(rows)) return null;
+
+    const nodeList = Array.isArray(dataset?.nodes) ? dataset.nodes : null;
+    const nodes = (nodeList || []).map((n, i) => ({
+      id: String(n.id ?? n.name ?? i),
+      label: String(n.name ?? n.label ?? n.id ?? i),
+      ...(n.color ? { color: n.color } : {}),
+    }));
+    const resolveNodeId = (key) => {
+      // 番号は nodes がある場合のみ添字とみなす（CSVの数値の名前と区別する）
+      if (nodeList && typeof key === 'number') return nodes[key]?.id;
+      const name = String(key ?? '').trim();
+      if (!name) return undefined;
+      const found = nodes.find((n) => n.id === name) || nodes.find((n) => n.label === name);
+      if (found) return found.id;
+      nodes.push({ id: name, label: name });
+      return name;
+    };
+
+    const links = rows
+      .map((row) => ({
+        source: resolveNodeId(row.source ?? row.from),
+        target: resolveNodeId(row.target ?? row.to),
+        value: Number(row.value ?? row.count ?? 0),
+      }))
+      .filter((l) => l.source != null && l.target != null);
+    return { nodes, links };
   }
 
   renderVenn(panel, dataset, config) {
     const vennData = this.resolveVennDataset(dataset, config);
     if (!vennData || !Array.isArray(vennData.sets) || vennData.sets.length === 0) {
-      this.renderUnsupported(panel, 'vennデータが不正です');
+      this.renderUnsupported(panel, t('chart.error.invalid', { type: 'venn' }));
       return;
     }
 
-    const title = config.title || vennData.title || 'ベン図';
+    const title = config.title || vennData.title || chartTypeLabel('venn');
+    const formatValue = createNumberFormatter(config);
     const inner = this.createPanelInner(panel, title, { compact: true });
 
     const areas = vennData.sets
@@ -1701,11 +3038,11 @@ export class ChartLayer {
 
     const setNames = [...new Set(areas.filter((d) => d.sets.length === 1).map((d) => d.sets[0]))];
     if (setNames.length < 2 || setNames.length > 3) {
-      this.renderUnsupported(panel, 'ベン図は2〜3集合を想定しています');
+      this.renderUnsupported(panel, t('chart.error.vennSetCount'));
       return;
     }
     if (areas.length === 0) {
-      this.renderUnsupported(panel, 'vennデータが不正です');
+      this.renderUnsupported(panel, t('chart.error.invalid', { type: 'venn' }));
       return;
     }
 
@@ -1730,11 +3067,11 @@ export class ChartLayer {
       });
     } catch (error) {
       console.warn('venn layout failed', error);
-      this.renderUnsupported(panel, 'vennレイアウトの計算に失敗しました');
+      this.renderUnsupported(panel, t('chart.error.vennLayout'));
       return;
     }
     if (!Array.isArray(layout) || layout.length === 0) {
-      this.renderUnsupported(panel, 'vennレイアウト結果が空です');
+      this.renderUnsupported(panel, t('chart.error.vennLayoutEmpty'));
       return;
     }
 
@@ -1807,7 +3144,7 @@ export class ChartLayer {
         .attr('stroke', 'none')
         .attr('transform', `translate(${cx - circleData.x * 0.7},${cy - circleData.y * 0.7}) scale(0.3)`)
         .transition()
-        .duration(600)
+        .duration(motionDuration(600))
         .ease(d3.easeCubicOut)
         .attr('fill-opacity', 0.55)
         .attr('transform', 'translate(0,0) scale(1)');
@@ -1826,7 +3163,7 @@ export class ChartLayer {
           .attr('clip-path', `url(#${clipId})`)
           .attr('fill', config.intersectionColor)
           .attr('fill-opacity', 0)
-          .transition().duration(600).delay(300)
+          .transition().duration(motionDuration(600)).delay(motionDuration(300))
           .attr('fill-opacity', 0.55);
       }
     }
@@ -1847,8 +3184,8 @@ export class ChartLayer {
         .attr('font-weight', 700)
         .attr('opacity', 0)
         .transition()
-        .duration(400)
-        .delay(200)
+        .duration(motionDuration(400))
+        .delay(motionDuration(200))
         .attr('opacity', 1)
         .text(setName);
     });
@@ -1869,8 +3206,8 @@ export class ChartLayer {
           .attr('opacity', 0)
           .text(config.intersectionLabel)
           .transition()
-          .duration(400)
-          .delay(350)
+          .duration(motionDuration(400))
+          .delay(motionDuration(350))
           .attr('opacity', 1);
       }
     }
@@ -1924,7 +3261,7 @@ export class ChartLayer {
 
         annotationDescriptors.push({
           note: {
-            label: d3.format(',')(entry.value),
+            label: formatValue(entry.value),
             wrap: 200,
             align: 'middle',
             padding: 2,
@@ -1952,7 +3289,7 @@ export class ChartLayer {
           const panelTarget = toPanel(d.text.x, d.text.y);
           annotationDescriptors.push({
             note: {
-              label: d3.format(',')(area.size),
+              label: formatValue(area.size),
               wrap: 200,
               align: 'middle',
               padding: 2,
@@ -1992,8 +3329,8 @@ export class ChartLayer {
       valueLabelGroup.selectAll('.venn-value-annotations .annotation')
         .attr('opacity', 0)
         .transition()
-        .duration(400)
-        .delay(350)
+        .duration(motionDuration(400))
+        .delay(motionDuration(350))
         .attr('opacity', 1);
     }
 
@@ -2028,9 +3365,9 @@ export class ChartLayer {
     return max;
   }
 
-  renderBump(panel, dataset, config) {
+  renderBump(panel, dataset, config, chartMeta = {}) {
     if (!Array.isArray(dataset) || dataset.length === 0) {
-      this.renderUnsupported(panel, 'bumpデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'bump' }));
       return;
     }
 
@@ -2038,7 +3375,7 @@ export class ChartLayer {
     const yField = config.yField || 'rank';
     const seriesField = config.seriesField || 'country';
     const maxRank = config.maxRank || 5;
-    const title = config.title || '順位推移';
+    const title = config.title || chartTypeLabel('bump');
     const highlightSet = new Set(
       Array.isArray(config.highlight) ? config.highlight : config.highlight ? [config.highlight] : []
     );
@@ -2051,7 +3388,7 @@ export class ChartLayer {
              Number(d[xField]) >= xMin && Number(d[xField]) <= xMax
     );
     if (rows.length === 0) {
-      this.renderUnsupported(panel, 'bumpデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'bump' }));
       return;
     }
 
@@ -2102,6 +3439,12 @@ export class ChartLayer {
       }
     }
 
+    const spanKey = this.resolveSpanStateKey(chartMeta, 'bump');
+    const previousSpanState = this.getPreviousSpanState(chartMeta, spanKey);
+    const spanTransition = previousSpanState
+      ? d3.transition().duration(motionDuration(850)).ease(d3.easeCubicInOut)
+      : null;
+
     // X軸
     const xAxis = d3.axisBottom(x).tickFormat(d3.format('d'));
     const styleAxisText = (g) => g.selectAll('text').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.axis);
@@ -2118,7 +3461,7 @@ export class ChartLayer {
     const yAxis = d3
       .axisLeft(y)
       .tickValues(d3.range(1, maxRank + 1))
-      .tickFormat((d) => `${d}位`);
+      .tickFormat((rank) => t('chart.rank', { rank }));
 
     plotGroup
       .append('g')
@@ -2126,6 +3469,28 @@ export class ChartLayer {
       .call(styleAxisText)
       .call(styleAxisLines);
 
+    // span継続時の始点: 前回の順位（x・順位とも前回のスケールで配置）。
+    // 前回に存在しない系列・年は下端から入ってくる
+    const startX = previousSpanState
+      ? d3.scalePoint().domain(previousSpanState.xValues.map(String)).range([0, plotWidth]).padding(0.1)
+      : null;
+    const startY = previousSpanState
+      ? d3.scaleLinear().domain([0.5, previousSpanState.maxRank + 0.5]).range([0, plotHeight])
+      : null;
+    const startPoint = (seriesName, d) => {
+      const key = String(Number(d[xField]));
+      const previousRank = previousSpanState.ranks.get(`${seriesName}|${key}`);
+      const sx = startX(key);
+      return {
+        x: sx ?? x(key),
+        y: previousRank != null ? startY(previousRank) : plotHeight,
+      };
+    };
+    const targetPoint = (d) => ({
+      x: x(String(Number(d[xField]))),
+      y: y(Number(d[yField])),
+    });
+
     // 系列データ構築
     const seriesData = seriesNames.map((name) => {
       const values = rows
@@ -2161,18 +3526,8 @@ export class ChartLayer {
         .attr('stroke-opacity', strokeOp)
         .attr('d', line);
 
-      // ドローインアニメーション
-      const len = path.node()?.getTotalLength() || 0;
-      path
-        .attr('stroke-dasharray', `${len} ${len}`)
-        .attr('stroke-dashoffset', len)
-        .transition()
-        .duration(800)
-        .ease(d3.easeCubicOut)
-        .attr('stroke-dashoffset', 0);
-
       // データポイント円
-      seriesGroup
+      const points = seriesGroup
         .selectAll(`.bump-point-${this.toSafeCssToken(series.name)}`)
         .data(series.values)
         .enter()
@@ -2182,11 +3537,45 @@ export class ChartLayer {
         .attr('r', circleR)
         .attr('fill', seriesColor)
         .attr('stroke', '#fff')
-        .attr('stroke-width', isHighlighted ? 2 : 1)
+        .attr('stroke-width', isHighlighted ? 2 : 1);
+
+      if (spanTransition) {
+        // 順位の入れ替わりを前回位置から補間
+        const pointLine = d3.line().x((p) => p.x).y((p) => p.y).curve(d3.curveBumpX);
+        const fromPoints = series.values.map((d) => startPoint(series.name, d));
+        const toPoints = series.values.map(targetPoint);
+        path
+          .attr('d', pointLine(fromPoints))
+          .transition(spanTransition)
+          .attrTween('d', () => {
+            const interpolate = d3.interpolate(fromPoints, toPoints);
+            return (progress) => pointLine(interpolate(progress));
+          });
+        points
+          .attr('cx', (d) => startPoint(series.name, d).x)
+          .attr('cy', (d) => startPoint(series.name, d).y)
+          .attr('opacity', circleOp)
+          .transition(spanTransition)
+          .attr('cx', (d) => targetPoint(d).x)
+          .attr('cy', (d) => targetPoint(d).y);
+        return;
+      }
+
+      // ドローインアニメーション
+      const len = path.node()?.getTotalLength() || 0;
+      path
+        .attr('stroke-dasharray', `${len} ${len}`)
+        .attr('stroke-dashoffset', len)
+        .transition()
+        .duration(motionDuration(800))
+        .ease(d3.easeCubicOut)
+        .attr('stroke-dashoffset', 0);
+
+      points
         .attr('opacity', 0)
         .transition()
-        .delay(600)
-        .duration(300)
+        .delay(motionDuration(600))
+        .duration(motionDuration(300))
         .attr('opacity', circleOp);
     });
 
@@ -2199,7 +3588,7 @@ export class ChartLayer {
       if (!last) return;
       if (Number(last[xField]) !== lastXValue) return;
       const ly = y(Number(last[yField]));
-      labelLayer
+      const label = labelLayer
         .append('text')
         .attr('x', labelX)
         .attr('y', ly)
@@ -2207,21 +3596,39 @@ export class ChartLayer {
         .attr('fill', color(series.name))
         .attr('font-size', CHART_FONT.series)
         .attr('font-weight', 600)
-        .attr('opacity', 0)
-        .text(series.name)
-        .transition()
-        .delay(800)
-        .duration(300)
-        .attr('opacity', 1);
+        .text(series.name);
+
+      if (spanTransition) {
+        label
+          .attr('y', startPoint(series.name, last).y)
+          .attr('opacity', 1)
+          .transition(spanTransition)
+          .attr('y', ly);
+      } else {
+        label
+          .attr('opacity', 0)
+          .transition()
+          .delay(motionDuration(800))
+          .duration(motionDuration(300))
+          .attr('opacity', 1);
+      }
     });
 
+    if (spanKey) {
+      this.chartSpanState.set(spanKey, {
+        xValues: [...xValues],
+        maxRank,
+        ranks: new Map(rows.map((d) => [`${String(d[seriesField])}|${String(Number(d[xField]))}`, Number(d[yField])])),
+      });
+    }
+
     // ツールチップ
-    this.attachBumpTooltip(plotGroup, seriesData, x, y, plotWidth, plotHeight, xField, yField, color);
+    this.attachBumpTooltip(plotGroup, seriesData, x, y, plotWidth, plotHeight, xField, yField, color, title);
 
     
   }
 
-  attachBumpTooltip(plotGroup, seriesData, xScale, yScale, plotWidth, plotHeight, xField, yField, color) {
+  attachBumpTooltip(plotGroup, seriesData, xScale, yScale, plotWidth, plotHeight, xField, yField, color, label = chartTypeLabel('bump')) {
     const overlay = plotGroup
       .append('rect')
       .attr('width', plotWidth)
@@ -2239,9 +3646,8 @@ export class ChartLayer {
 
     const xDomain = xScale.domain();
 
-    overlay.on('mousemove', (event) => {
-      const [mx] = d3.pointer(event);
-      // 最も近いx位置を見つける
+    // 最も近いx位置を見つける
+    const nearestX = (mx) => {
       let nearest = xDomain[0];
       let minDist = Infinity;
       xDomain.forEach((xVal) => {
@@ -2251,26 +3657,33 @@ export class ChartLayer {
           nearest = xVal;
         }
       });
+      return nearest;
+    };
 
+    // x位置のツールチップを表示し、読み上げ文を返す（focusIndex の系列を読み上げる）
+    const showAt = (nearest, focusIndex = null) => {
       const px = xScale(nearest);
       guideLine.attr('x1', px).attr('x2', px).attr('stroke-opacity', 0.3);
 
       tooltipGroup.selectAll('*').remove();
       tooltipGroup.attr('opacity', 1);
 
+      const spoken = [];
       let ty = 0;
-      seriesData.forEach((series) => {
+      seriesData.forEach((series, seriesIndex) => {
         const point = series.values.find((d) => String(Number(d[xField])) === nearest);
         if (!point) return;
         const py = yScale(Number(point[yField]));
         const c = color(series.name);
+        const isFocused = focusIndex === seriesIndex;
 
         tooltipGroup.append('circle')
-          .attr('cx', px).attr('cy', py).attr('r', 6)
+          .attr('cx', px).attr('cy', py).attr('r', isFocused ? 8 : 6)
           .attr('fill', c).attr('stroke', '#fff').attr('stroke-width', 2);
 
         const labelX = px + 10;
         const labelY = 12 + ty * 16;
+        const text = `${series.name}: ${t('chart.rank', { rank: point[yField] })}`;
         tooltipGroup.append('rect')
           .attr('x', labelX - 2).attr('y', labelY - 10)
           .attr('width', 90).attr('height', 14)
@@ -2278,19 +3691,241 @@ export class ChartLayer {
         tooltipGroup.append('text')
           .attr('x', labelX).attr('y', labelY)
           .attr('fill', c).attr('font-size', CHART_FONT.tooltip).attr('font-weight', 500)
-          .text(`${series.name}: ${point[yField]}位`);
+          .text(text);
         ty += 1;
+
+        if (focusIndex == null || isFocused) spoken.push(text);
       });
 
       tooltipGroup.append('text')
         .attr('x', px).attr('y', plotHeight + 16)
         .attr('text-anchor', 'middle').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.tooltip)
         .text(nearest);
-    });
 
-    overlay.on('mouseleave', () => {
+      return `${nearest} ${spoken.length > 0 ? spoken.join(t('common.listSeparator')) : t('common.noData')}`;
+    };
+
+    const hide = () => {
       guideLine.attr('stroke-opacity', 0);
       tooltipGroup.attr('opacity', 0);
+    };
+
+    overlay.on('mousemove', (event) => {
+      showAt(nearestX(d3.pointer(event)[0]));
+    });
+
+    overlay.on('click', (event) => {
+      this.inspectOnTap(plotGroup.node(), showAt(nearestX(d3.pointer(event)[0])), hide);
+    });
+
+    overlay.on('mouseleave', hide);
+
+    this.attachTooltipNavigation(plotGroup, {
+      label,
+      bounds: { x: 0, y: 0, width: plotWidth, height: plotHeight },
+      columns: xDomain.length,
+      rows: seriesData.length,
+      show: (column, row) => showAt(xDomain[column], row),
+      hide,
+    });
+  }
+
+  /**
+   * span内の状態キー。ステップごとにチャートidが変わるため、charts配列内の位置で対応付ける
+   */
+  resolveSpanStateKey(chartMeta, type) {
+    const spanIdRaw = chartMeta?.span?.id;
+    if (spanIdRaw == null) return null;
+    const spanId = String(spanIdRaw).trim();
+    if (!spanId) return null;
+    return `${type}:${spanId}:${chartMeta._chartIndex ?? 0}`;
+  }
+
+  getPreviousSpanState(chartMeta, spanKey) {
+    if (!spanKey || !chartMeta?.transitionFromPrevious) return null;
+    return this.chartSpanState.get(spanKey) || null;
+  }
+
+  /**
+   * KPI（大きな数値）の各項目を求める。項目は系列（series）とx値（x。既定は最新）で行を選ぶか、value で直接指定する。
+   * compare（{ x } または { value }）があれば比較値との差を、sparkline があれば系列の推移を添える
+   */
+  resolveKpiItems(dataset, config) {
+    const xField = config.xField || 'year';
+    const yField = config.yField || 'value';
+    const seriesField = config.seriesField || 'series';
+    const rows = Array.isArray(dataset) ? dataset : [];
+    const items = Array.isArray(config.items) && config.items.length > 0 ? config.items : [{}];
+
+    const lookup = (series, x) => {
+      const filters = [{ key: xField, value: String(x ?? 'latest') }];
+      if (series != null) filters.unshift({ key: seriesField, value: String(series) });
+      return resolveDataTokenValue(rows, { field: yField, filters });
+    };
+
+    return items.map((item) => {
+      const formatValue = createNumberFormatter({ format: item.format ?? config.format, unit: item.unit ?? config.unit });
+      const value = typeof item.value === 'number' ? item.value : lookup(item.series, item.x);
+
+      const compare = item.compare || null;
+      const compareValue = compare
+        ? (typeof compare.value === 'number' ? compare.value : lookup(compare.series ?? item.series, compare.x))
+        : null;
+      const delta = value != null && compareValue != null ? value - compareValue : null;
+      let changeText = '';
+      if (delta != null) {
+        const deltaText = compare.format === 'value'
+          ? `${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${formatValue(Math.abs(delta))}`
+          : this.formatKpiPercentChange(delta, compareValue);
+        const compareLabel = compare.label ?? (compare.x != null ? t('chart.kpi.compareTo', { x: compare.x }) : '');
+        changeText = compareLabel ? t('chart.kpi.change', { compare: compareLabel, delta: deltaText }) : deltaText;
+      }
+
+      // goodDirection（"up" | "down"）があれば増減の良し悪しで色分けする
+      let status = null;
+      if (delta && (item.goodDirection === 'up' || item.goodDirection === 'down')) {
+        status = (delta > 0) === (item.goodDirection === 'up') ? 'good' : 'bad';
+      }
+
+      const trend = item.sparkline
+        ? this.filterByXDomain(rows, xField, config.xDomain)
+          .filter((d) => item.series == null || String(d?.[seriesField] ?? '').trim() === String(item.series))
+          .map((d) => ({ x: Number(d[xField]), y: Number(d[yField]) }))
+          .filter((d) => Number.isFinite(d.x) && Number.isFinite(d.y))
+          .sort((a, b) => a.x - b.x)
+        : [];
+
+      return {
+        label: item.label ?? item.series ?? '',
+        value,
+        compareValue,
+        delta,
+        changeText,
+        status,
+        trend,
+        formatValue,
+      };
+    });
+  }
+
+  formatKpiPercentChange(delta, base) {
+    if (!base) return '―';
+    const percent = (delta / Math.abs(base)) * 100;
+    const sign = percent > 0 ? '+' : percent < 0 ? '−' : '±';
+    return `${sign}${d3.format(',.1~f')(Math.abs(percent))}%`;
+  }
+
+  /**
+   * KPI（大きな数値）。項目をパネル内に格子状に並べ、描画時に0からカウントアップする。
+   * config.scrub ではStep内のスクロール位置に合わせて数値とスパークラインを進める
+   */
+  renderKpi(panel, dataset, config) {
+    const items = this.resolveKpiItems(dataset, config).filter((item) => item.value != null);
+    if (items.length === 0) {
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'kpi' }));
+      return;
+    }
+
+    const inner = this.createPanelInner(panel, config.title || '', { compact: panel.height < 320 });
+    const columns = Math.max(1, Math.min(items.length, Number(config.columns) || (inner.width < 480 ? 1 : 3)));
+    const rowCount = Math.ceil(items.length / columns);
+    const cellWidth = inner.width / columns;
+    const cellHeight = inner.height / rowCount;
+    const themeColor = this.getThemePrimary();
+    const statusColor = { good: '#15803d', bad: '#b91c1c' };
+    // 全角文字は半角の約2倍幅で見積もる
+    const textWidth = (text, size) => [...text].reduce((w, ch) => w + (ch.charCodeAt(0) > 0xff ? 1 : 0.6), 0) * size;
+
+    const cells = items.map((item, index) => {
+      const cell = inner.group
+        .append('g')
+        .attr('class', 'kpi-item')
+        .attr('transform', `translate(${(index % columns) * cellWidth}, ${Math.floor(index / columns) * cellHeight})`);
+      const cx = cellWidth / 2;
+      const finalText = item.formatValue(item.value);
+      const valueSize = Math.max(24, Math.min(72, cellHeight * 0.3, (cellWidth - 24) / Math.max(1, textWidth(finalText, 1))));
+      const sparkHeight = item.trend.length > 1 ? Math.min(48, cellHeight * 0.2) : 0;
+      const blockHeight = CHART_FONT.series + 8 + valueSize + (item.changeText ? 10 + CHART_FONT.axis : 0) + (sparkHeight ? 14 + sparkHeight : 0);
+      let y = Math.max(0, (cellHeight - blockHeight) / 2);
+
+      cell.append('text')
+        .attr('x', cx).attr('y', y)
+        .attr('text-anchor', 'middle').attr('dominant-baseline', 'hanging')
+        .attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.series).attr('font-weight', 500)
+        .text(item.label);
+      y += CHART_FONT.series + 8;
+
+      const valueText = cell.append('text')
+        .attr('class', 'kpi-value')
+        .attr('x', cx).attr('y', y)
+        .attr('text-anchor', 'middle').attr('dominant-baseline', 'hanging')
+        .attr('fill', CHART_COLOR.title).attr('font-size', valueSize).attr('font-weight', 700)
+        .style('font-variant-numeric', 'tabular-nums')
+        .text(finalText);
+      y += valueSize;
+
+      let changeText = null;
+      if (item.changeText) {
+        y += 10;
+        const arrow = item.delta > 0 ? '▲' : item.delta < 0 ? '▼' : '';
+        changeText = cell.append('text')
+          .attr('x', cx).attr('y', y)
+          .attr('text-anchor', 'middle').attr('dominant-baseline', 'hanging')
+          .attr('fill', statusColor[item.status] || CHART_COLOR.axisText).attr('font-size', CHART_FONT.axis).attr('font-weight', 500)
+          .text(`${arrow} ${item.changeText}`.trim());
+        y += CHART_FONT.axis;
+      }
+
+      let sparkClip = null;
+      let sparkWidth = 0;
+      if (sparkHeight) {
+        y += 14;
+        sparkWidth = Math.min(cellWidth * 0.7, 240);
+        const sx = d3.scaleLinear().domain(d3.extent(item.trend, (d) => d.x)).range([cx - sparkWidth / 2, cx + sparkWidth / 2]);
+        const sy = d3.scaleLinear().domain(d3.extent(item.trend, (d) => d.y)).nice().range([y + sparkHeight, y]);
+        const clipId = `kpi-spark-clip-${panel.x}-${panel.y}-${index}`;
+        sparkClip = this.defs.append('clipPath').attr('id', clipId)
+          .append('rect')
+          .attr('x', cx - sparkWidth / 2 - 4).attr('y', y - 4)
+          .attr('width', sparkWidth + 8).attr('height', sparkHeight + 8);
+        const spark = cell.append('g').attr('clip-path', `url(#${clipId})`);
+        spark.append('path')
+          .datum(item.trend)
+          .attr('fill', 'none')
+          .attr('stroke', themeColor)
+          .attr('stroke-width', 2)
+          .attr('d', d3.line().x((d) => sx(d.x)).y((d) => sy(d.y)));
+        const last = item.trend[item.trend.length - 1];
+        spark.append('circle').attr('cx', sx(last.x)).attr('cy', sy(last.y)).attr('r', 3.5).attr('fill', themeColor);
+      }
+
+      return { item, valueText, changeText, sparkClip, sparkWidth, interpolate: interpolateCountUp(item.value) };
+    });
+
+    // 数値・スパークライン・増減の表示を進捗（0..1）に合わせる
+    const setProgress = ({ item, valueText, changeText, sparkClip, sparkWidth, interpolate }, progress) => {
+      valueText.text(item.formatValue(interpolate(progress)));
+      sparkClip?.attr('width', progress > 0 ? sparkWidth * progress + 8 : 0);
+      changeText?.attr('opacity', progress >= 1 ? 1 : 0);
+    };
+
+    if (config.scrub) {
+      this.onStepProgress((progress) => {
+        // Stepの終わり手前（85%）で数え終える
+        const reveal = Math.max(0, Math.min(1, progress / 0.85));
+        cells.forEach((cell) => setProgress(cell, reveal));
+      });
+      return;
+    }
+
+    cells.forEach((cell, index) => {
+      setProgress(cell, 0);
+      cell.valueText
+        .transition()
+        .delay(motionDuration(index * 120))
+        .duration(motionDuration(1200))
+        .ease(d3.easeCubicOut)
+        .tween('text', () => (elapsed) => setProgress(cell, elapsed));
     });
   }
 
@@ -2401,9 +4036,7 @@ export class ChartLayer {
     this.clear();
 
     // 画面のアスペクト比に合わせてviewBox幅を算出し、左右レターボックスを除去
-    const rect = this.container.getBoundingClientRect();
-    const aspectRatio = rect.width && rect.height ? rect.width / rect.height : VIEWBOX_WIDTH / VIEWBOX_HEIGHT;
-    this.viewBoxWidth = Math.round(VIEWBOX_HEIGHT * aspectRatio);
+    this.viewBoxWidth = resolveViewBoxWidth(this.container, VIEWBOX_HEIGHT) ?? VIEWBOX_WIDTH;
 
     this.svg = d3
       .select(this.container)
@@ -2413,10 +4046,12 @@ export class ChartLayer {
       .attr('aria-label', 'chart layer');
 
     this.root = this.svg.append('g');
+    // 共通の定義（フィルター）と、描画ごとに作り直すパネルの定義（グラデーション・clipPath）を分ける
+    const sharedDefs = this.svg.append('defs');
     this.defs = this.svg.append('defs');
 
     // パネルGlowフィルター
-    const glowFilter = this.defs
+    const glowFilter = sharedDefs
       .append('filter')
       .attr('id', 'panel-glow')
       .attr('x', '-20%').attr('y', '-20%')
@@ -2434,9 +4069,9 @@ export class ChartLayer {
     return getComputedStyle(document.documentElement).getPropertyValue('--theme-primary').trim() || '#66c2a5';
   }
 
-  renderStreamgraph(panel, dataset, config) {
+  renderStreamgraph(panel, dataset, config, chartMeta = {}) {
     if (!Array.isArray(dataset)) {
-      this.renderUnsupported(panel, 'streamgraphデータ形式が不正です');
+      this.renderUnsupported(panel, t('chart.error.format', { type: 'streamgraph' }));
       return;
     }
 
@@ -2448,7 +4083,7 @@ export class ChartLayer {
       (d) => Number.isFinite(Number(d[xField])) && Number.isFinite(Number(d[yField]))
     );
     if (baseRows.length === 0) {
-      this.renderUnsupported(panel, 'streamgraphデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'streamgraph' }));
       return;
     }
 
@@ -2468,11 +4103,12 @@ export class ChartLayer {
       return xv >= targetXDomain[0] && xv <= targetXDomain[1];
     });
     if (rows.length === 0) {
-      this.renderUnsupported(panel, 'streamgraphデータが空です');
+      this.renderUnsupported(panel, t('chart.error.empty', { type: 'streamgraph' }));
       return;
     }
 
-    const title = config.title || 'Streamgraph';
+    const title = config.title || chartTypeLabel('streamgraph');
+    const formatValue = createNumberFormatter(config);
     const inner = this.createPanelInner(panel, title);
     const width = inner.width;
     const height = inner.height;
@@ -2519,23 +4155,32 @@ export class ChartLayer {
     ];
     const y = d3.scaleLinear().domain(yExtent).range([plotHeight, 0]);
 
-    // X軸
-    const xAxis = d3.axisBottom(x).ticks(5).tickFormat(d3.format('d'));
-    plotGroup
+    const spanKey = this.resolveSpanStateKey(chartMeta, 'streamgraph');
+    const previousSpanState = this.getPreviousSpanState(chartMeta, spanKey);
+
+    // X軸（span継続時は前回のx範囲から移行）
+    const styleAxis = (g) => {
+      g.selectAll('text').attr('fill', CHART_COLOR.axisText).attr('font-size', CHART_FONT.axis);
+      g.selectAll('.domain, .tick line').attr('stroke', CHART_COLOR.axisLine).attr('opacity', 0.5);
+    };
+    const xAxisGroup = plotGroup
       .append('g')
-      .attr('transform', `translate(0, ${plotHeight})`)
-      .call(xAxis)
-      .selectAll('text')
-      .attr('fill', CHART_COLOR.axisText)
-      .attr('font-size', CHART_FONT.axis);
-    plotGroup
-      .select('.domain')
-      .attr('stroke', CHART_COLOR.axisLine)
-      .attr('opacity', 0.5);
-    plotGroup
-      .selectAll('.tick line')
-      .attr('stroke', CHART_COLOR.axisLine)
-      .attr('opacity', 0.5);
+      .attr('transform', `translate(0, ${plotHeight})`);
+    if (previousSpanState) {
+      const startX = x.copy().domain(previousSpanState.xDomain);
+      xAxisGroup
+        .call(d3.axisBottom(startX).ticks(5).tickFormat(d3.format('d')))
+        .call(styleAxis)
+        .transition()
+        .duration(motionDuration(850))
+        .ease(d3.easeCubicInOut)
+        .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('d')))
+        .call(styleAxis);
+    } else {
+      xAxisGroup
+        .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('d')))
+        .call(styleAxis);
+    }
 
     // カラーパレット
     const palette = this.buildPalette(seriesNames.length);
@@ -2560,13 +4205,61 @@ export class ChartLayer {
       .attr('fill-opacity', 0)
       .attr('stroke', 'none');
 
-    // フェードインアニメーション
-    layers
-      .transition()
-      .duration(800)
-      .delay((_, i) => i * 60)
-      .ease(d3.easeCubicOut)
-      .attr('fill-opacity', 0.75);
+    if (previousSpanState) {
+      // 前回のレイヤー形状（画素座標）から現在の形状へ変形する。
+      // 前回に存在しない点は、その位置の中心線から厚みゼロで広がる
+      const startX = x.copy().domain(previousSpanState.xDomain);
+      const startY = y.copy().domain(previousSpanState.yDomain);
+      const pixelArea = d3
+        .area()
+        .x((p) => p.x)
+        .y0((p) => p.y0)
+        .y1((p) => p.y1)
+        .curve(d3.curveBasis);
+
+      layers
+        .attr('fill-opacity', (d) => (previousSpanState.layers.has(d.key) ? 0.75 : 0))
+        .transition()
+        .duration(motionDuration(850))
+        .ease(d3.easeCubicInOut)
+        .attr('fill-opacity', 0.75)
+        .attrTween('d', (layer) => {
+          const previousValues = previousSpanState.layers.get(layer.key);
+          const points = layer.map((d) => {
+            const xv = d.data[xField];
+            const previous = previousValues?.get(xv);
+            const mid = y((d[0] + d[1]) / 2);
+            return {
+              from: {
+                x: startX(xv),
+                y0: previous ? startY(previous[0]) : mid,
+                y1: previous ? startY(previous[1]) : mid,
+              },
+              to: { x: x(xv), y0: y(d[0]), y1: y(d[1]) },
+            };
+          });
+          return (progress) => pixelArea(points.map((p) => d3.interpolateObject(p.from, p.to)(progress)));
+        });
+    } else {
+      // フェードインアニメーション
+      layers
+        .transition()
+        .duration(motionDuration(800))
+        .delay((_, i) => motionDuration(i * 60))
+        .ease(d3.easeCubicOut)
+        .attr('fill-opacity', 0.75);
+    }
+
+    if (spanKey) {
+      this.chartSpanState.set(spanKey, {
+        xDomain: [...targetXDomain],
+        yDomain: [...yExtent],
+        layers: new Map(stackedData.map((layer) => [
+          layer.key,
+          new Map(layer.map((d) => [d.data[xField], [d[0], d[1]]])),
+        ])),
+      });
+    }
 
     // ツールチップ
     const tooltipRect = plotGroup
@@ -2585,55 +4278,82 @@ export class ChartLayer {
       .attr('stroke-dasharray', '3 3')
       .attr('opacity', 0);
 
-    const tooltipGroup = plotGroup.append('g').attr('opacity', 0);
+    const tooltipGroup = plotGroup.append('g').attr('class', 'stream-tooltip').attr('opacity', 0);
 
-    tooltipRect
-      .on('mousemove', (event) => {
-        const [mx] = d3.pointer(event);
-        const xVal = Math.round(x.invert(mx));
-        const clamped = Math.max(targetXDomain[0], Math.min(targetXDomain[1], xVal));
-        const entry = pivoted.find((p) => p[xField] === clamped);
-        if (!entry) return;
-
-        tooltipLine.attr('x1', x(clamped)).attr('x2', x(clamped)).attr('opacity', 0.6);
-        tooltipGroup.selectAll('*').remove();
-
-        const total = seriesNames.reduce((sum, s) => sum + (entry[s] || 0), 0);
-        const lines = [`${clamped}年 (合計: ${d3.format(',')(total)})`];
-        seriesNames.forEach((s) => {
-          if (entry[s]) lines.push(`${s}: ${d3.format(',')(entry[s])}`);
-        });
+    // x値のツールチップを表示し、読み上げ文を返す（focusIndex の系列を読み上げる）
+    const showAt = (clamped, focusIndex = null) => {
+      const entry = pivoted.find((p) => p[xField] === clamped);
+      if (!entry) return null;
 
-        const bgWidth = 180;
-        const bgHeight = lines.length * 15 + 10;
-        let tx = x(clamped) + 10;
-        if (tx + bgWidth > plotWidth) tx = x(clamped) - bgWidth - 10;
+      tooltipLine.attr('x1', x(clamped)).attr('x2', x(clamped)).attr('opacity', 0.6);
+      tooltipGroup.selectAll('*').remove();
 
+      const total = seriesNames.reduce((sum, s) => sum + (entry[s] || 0), 0);
+      const lines = [t('chart.streamTotal', { year: clamped, total: formatValue(total) })];
+      seriesNames.forEach((s) => {
+        if (entry[s]) lines.push(`${s}: ${formatValue(entry[s])}`);
+      });
+
+      const bgWidth = 180;
+      const bgHeight = lines.length * 15 + 10;
+      let tx = x(clamped) + 10;
+      if (tx + bgWidth > plotWidth) tx = x(clamped) - bgWidth - 10;
+
+      tooltipGroup
+        .append('rect')
+        .attr('x', tx)
+        .attr('y', 5)
+        .attr('width', bgWidth)
+        .attr('height', bgHeight)
+        .attr('rx', 4)
+        .attr('fill', 'rgba(0,0,0,0.8)');
+
+      lines.forEach((line, i) => {
         tooltipGroup
-          .append('rect')
-          .attr('x', tx)
-          .attr('y', 5)
-          .attr('width', bgWidth)
-          .attr('height', bgHeight)
-          .attr('rx', 4)
-          .attr('fill', 'rgba(0,0,0,0.8)');
-
-        lines.forEach((line, i) => {
-          tooltipGroup
-            .append('text')
-            .attr('x', tx + 8)
-            .attr('y', 20 + i * 15)
-            .attr('fill', '#ffffff')
-            .attr('font-size', CHART_FONT.tooltip)
-            .text(line);
-        });
+          .append('text')
+          .attr('x', tx + 8)
+          .attr('y', 20 + i * 15)
+          .attr('fill', '#ffffff')
+          .attr('font-size', CHART_FONT.tooltip)
+          .text(line);
+      });
+
+      tooltipGroup.attr('opacity', 1);
+
+      if (focusIndex == null) return lines.join(t('common.listSeparator'));
+      const focused = seriesNames[focusIndex];
+      return `${lines[0]} ${focused}: ${formatValue(entry[focused] || 0)}`;
+    };
+
+    const hide = () => {
+      tooltipLine.attr('opacity', 0);
+      tooltipGroup.attr('opacity', 0);
+    };
+
+    const clampedXAt = (event) => {
+      const [mx] = d3.pointer(event);
+      const xVal = Math.round(x.invert(mx));
+      return Math.max(targetXDomain[0], Math.min(targetXDomain[1], xVal));
+    };
 
-        tooltipGroup.attr('opacity', 1);
+    tooltipRect
+      .on('mousemove', (event) => {
+        showAt(clampedXAt(event));
       })
-      .on('mouseleave', () => {
-        tooltipLine.attr('opacity', 0);
-        tooltipGroup.attr('opacity', 0);
-      });
+      .on('click', (event) => {
+        const message = showAt(clampedXAt(event));
+        if (message) this.inspectOnTap(plotGroup.node(), message, hide);
+      })
+      .on('mouseleave', hide);
+
+    this.attachTooltipNavigation(plotGroup, {
+      label: title,
+      bounds: { x: 0, y: 0, width: plotWidth, height: plotHeight },
+      columns: xValues.length,
+      rows: seriesNames.length,
+      show: (column, row) => showAt(xValues[column], row),
+      hide,
+    });
 
     // 凡例（右端にシリーズラベル）
     const lastX = xValues[xValues.length - 1];
@@ -2656,8 +4376,8 @@ export class ChartLayer {
         .attr('opacity', 0)
         .text(ld.key)
         .transition()
-        .duration(400)
-        .delay(800)
+        .duration(motionDuration(400))
+        .delay(motionDuration(800))
         .attr('opacity', 1);
     });
 
@@ -2709,7 +4429,7 @@ export class ChartLayer {
     return 210;
   }
 
-  resolveYAxisLabelGutter(rows, yField) {
+  resolveYAxisLabelGutter(rows, yField, formatValue = d3.format(',')) {
     const values = rows
       .map((d) => Number(d[yField]))
       .filter((v) => Number.isFinite(v));
@@ -2720,25 +4440,54 @@ export class ChartLayer {
 
     const maxAbs = d3.max(values.map((v) => Math.abs(v))) || 0;
     const probe = [0, maxAbs * 0.25, maxAbs * 0.5, maxAbs * 0.75, maxAbs];
-    const maxLabelLength = d3.max(
-      probe.map((v) => d3.format(',')(Math.round(v)).length)
-    ) || 4;
+    // 全角文字（万・億など）は半角の約2倍幅で見積もる
+    const labelWidth = (text) => [...text].reduce((w, ch) => w + (ch.charCodeAt(0) > 0xff ? 14 : 7), 0);
+    const maxLabelWidth = d3.max(
+      probe.map((v) => labelWidth(formatValue(Math.round(v))))
+    ) || 28;
 
-    const estimated = 14 + maxLabelLength * 7;
+    const estimated = 14 + maxLabelWidth;
     return Math.max(56, Math.min(110, estimated));
   }
 
+  /** Step内スクロール進捗（0..1）を受け取り、登録済みの描画へ通知する */
+  setStepProgress(progress) {
+    this.stepProgress = progress;
+    this.stepProgressListeners.forEach((listener) => listener(this.resolveScrubProgress()));
+  }
+
+  /** スクロール連動する描画を登録する（登録時に現在の進捗で一度呼ぶ） */
+  onStepProgress(listener) {
+    this.stepProgressListeners.add(listener);
+    listener(this.resolveScrubProgress());
+  }
+
+  /** 動きを抑える設定では、スクロール連動の描画を最初から描き切った状態にする */
+  resolveScrubProgress() {
+    return isReducedMotion() ? 1 : this.stepProgress;
+  }
+
   clear() {
+    this.renderSequence += 1;
     if (this.container) {
       this.container.innerHTML = '';
     }
+    this.descriptions = [];
+    this.announcedKey = null;
+    this.activeTooltip = null;
+    this.exportTargets = [];
+    this.lastRender = null;
+    this.stepProgressListeners.clear();
     this.svg = null;
     this.root = null;
     this.defs = null;
   }
 
   destroy() {
-    window.removeEventListener('resize', this.onResize);
+    this.unsubscribeResize();
+    document.removeEventListener('pointerdown', this.onDocumentPointerDown);
     this.clear();
+    this.liveRegion?.remove();
+    this.liveRegion = null;
   }
 }
@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import { feature } from 'topojson-client';
+import { isReducedMotion, motionDuration, onMotionChange } from '../utils/motion.js';
 
 const WORLD_MAP_URL = `${import.meta.env.BASE_URL}data/countries-110m.json`;
 
@@ -25,6 +26,7 @@ export class GlobeAnimation {
     this.timer = null;
     this.isPlaying = false;
     this.countryNameEl = null;
+    this.unsubscribeMotion = null;
   }
 
   async init() {
@@ -35,6 +37,7 @@ export class GlobeAnimation {
     this.countryFeatures = feature(topology, countryObject).features;
     this.createGlobe();
     this.start();
+    this.unsubscribeMotion = onMotionChange((reduced) => (reduced ? this.stop() : this.start()));
   }
 
   createGlobe() {
@@ -109,6 +112,11 @@ export class GlobeAnimation {
 
   start() {
     if (this.isPlaying) return;
+    // 動きを抑える設定では回転させず、現在の国を表示したまま止める
+    if (isReducedMotion()) {
+      this.focusCountry(TARGET_COUNTRIES[this.currentIndex]);
+      return;
+    }
     this.isPlaying = true;
     this.animateLoop();
   }
@@ -150,7 +158,7 @@ export class GlobeAnimation {
 
     const self = this;
     d3.transition()
-      .duration(1200)
+      .duration(motionDuration(1200))
       .ease(d3.easeCubicInOut)
       .tween('rotate', () => (t) => {
         const r = interp(t);
@@ -176,13 +184,13 @@ export class GlobeAnimation {
   showCountryName(name) {
     if (!this.countryNameEl) return;
     d3.select(this.countryNameEl)
-      .transition().duration(300)
+      .transition().duration(motionDuration(300))
       .style('opacity', 0)
       .on('end', () => {
         if (!this.countryNameEl) return;
         this.countryNameEl.textContent = name;
         d3.select(this.countryNameEl)
-          .transition().duration(500)
+          .transition().duration(motionDuration(500))
           .style('opacity', 1);
       });
   }
@@ -201,6 +209,8 @@ export class GlobeAnimation {
 
   destroy() {
     this.stop();
+    this.unsubscribeMotion?.();
+    this.unsubscribeMotion = null;
     if (this.svg) {
       this.svg.remove();
       this.svg = null;
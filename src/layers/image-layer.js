@@ -1,3 +1,5 @@
+import { isReducedMotion } from '../utils/motion.js';
+
 export class ImageLayer {
   constructor(container) {
     this.container = container;
@@ -24,6 +26,11 @@ export class ImageLayer {
     const src = imageConfig.src.startsWith('/') ? `${base}${imageConfig.src.slice(1)}` : imageConfig.src;
     img.src = src;
     img.alt = imageConfig.alt || '';
+    // 画像が読めない場合は隠して、オーバーレイ（テーマカラー・グラデーション）だけを残す
+    img.addEventListener('error', () => {
+      console.warn(`Image load failed: ${src}`);
+      img.style.visibility = 'hidden';
+    }, { once: true });
     const fit = imageConfig.fit || 'cover';
     // fit: "cover" (default) — 領域全体を埋める（トリミングあり）
     // fit: "width" — 横幅に合わせる（上下に余白の可能性あり）
@@ -92,7 +99,8 @@ export class ImageLayer {
   }
 
   updateParallax() {
-    if (!this.parallaxEnabled || !this.parallaxImg) return;
+    // 動きを抑える設定では画像を固定する
+    if (!this.parallaxEnabled || !this.parallaxImg || isReducedMotion()) return;
     const scrollY = window.scrollY || window.pageYOffset;
     const vh = window.innerHeight;
     // スクロール位置に応じて画像を微妙にずらす（-10%〜0%の範囲）
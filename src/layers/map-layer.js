@@ -1,5 +1,10 @@
 import * as d3 from 'd3';
 import { feature } from 'topojson-client';
+import { createNumberFormatter } from '../utils/number-format.js';
+import { motionDuration, isReducedMotion, suspendMotion } from '../utils/motion.js';
+import { onViewportResize, resolveViewBoxWidth } from '../utils/viewport.js';
+import { t } from '../utils/i18n.js';
+import { ConfigValidator } from '../core/config-validator.js';
 
 const VIEWBOX_WIDTH = 1440;
 const VIEWBOX_HEIGHT = 900;
@@ -50,8 +55,44 @@ function resolveHighlightCountries(mapConfig) {
   }
   return set;
 }
+
+// 国名（TopoJSONのproperties.name）またはISO 3166数値コードで結合する
+function resolveFeatureValue(valueByCountry, d) {
+  const name = d.properties?.name;
+  if (name && valueByCountry.has(name)) return valueByCountry.get(name);
+  if (d.id != null && valueByCountry.has(String(d.id))) return valueByCountry.get(String(d.id));
+  return undefined;
+}
+
+function normalizeCountryKey(value) {
+  if (value == null) return '';
+  const key = String(value).trim();
+  return /^\d+$/.test(key) ? key.padStart(3, '0') : key;
+}
+
 const WORLD_MAP_URL = `${import.meta.env.BASE_URL}data/countries-110m.json`;
 const MAP_STYLE_URL = `${import.meta.env.BASE_URL}config/map-style.json`;
+const DEFAULT_DEM_SOURCES = [{ url: 'https://tiles.mapterhorn.com/tilejson.json', encoding: 'terrarium' }];
+const TILE_PROBE_TIMEOUT = 5000;
+
+// public 配下のパス（/data/...）をBASE_URL付きに解決する。http(s)のURLはそのまま
+function resolvePublicPath(path) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(path)) return path;
+  const stripped = path.startsWith('/') ? path.slice(1) : path;
+  return `${import.meta.env.BASE_URL}${stripped}`;
+}
+
+function withTimeout(promise, ms) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isPmtilesPath(path) {
+  return /\.pmtiles(?:$|[?#])/i.test(path);
+}
 
 export class MapLayer {
   constructor(container) {
@@ -60,6 +101,8 @@ export class MapLayer {
     this.countryPaths = null;
     this.markerCircles = null;
     this.markerLabels = null;
+    this.markerNumbers = null;
+    this.routeGroup = null;
     this.countryFeatures = [];
     this.readyPromise = null;
     this.pendingConfig = null;
@@ -68,10 +111,24 @@ export class MapLayer {
     this.currentCenter = [0, 15];
     this.currentZoom = 1.2;
     this.style = null;
+    this.dataCache = new Map();
+    this.stepProgress = null;
+    this.yearTimeline = null;
+    this.playControl = null;
+    this._playTimer = null;
+    // 画面の縦横比に合わせたviewBox幅（createSvg・リサイズ時に求める）
+    this.viewBoxWidth = VIEWBOX_WIDTH;
+    // 表示中の設定（リサイズ時の再レイアウト用）
+    this.appliedView = null;
+    this.unsubscribeResize = onViewportResize(() => this.relayout());
   }
 
-  render(mapConfig) {
+  /**
+   * direction: Stepへ入った向き。Step内進捗は新しいStepの入口（下向きは0、上向きは1）から始める
+   */
+  render(mapConfig, { direction = 'down' } = {}) {
     if (!mapConfig?.visible) return;
+    this.stepProgress = direction === 'up' ? 1 : 0;
 
     // タイルコンテナを再表示
     if (this.tileContainer) {
@@ -84,16 +141,32 @@ export class MapLayer {
 
     this.pendingConfig = mapConfig;
     this.ensureReady()
-      .then(() => {
-        if (this.pendingConfig) {
-          this.applyConfig(this.pendingConfig);
-        }
+      .then(async () => {
+        const config = this.pendingConfig;
+        if (!config) return;
+        const choropleth = await this.loadChoroplethData(config);
+        // 読み込み中に別Stepへ移った場合は破棄
+        if (this.pendingConfig !== config) return;
+        this.applyConfig(config, choropleth);
       })
       .catch((error) => {
         console.error('MapLayer render failed:', error);
+        // 地図の準備前に失敗した場合はメッセージを出し、次のStepで読み込みを再試行する
+        if (!this.svg) {
+          this.readyPromise = null;
+          this.showLoadError();
+        }
       });
   }
 
+  showLoadError() {
+    if (!this.container || this.container.querySelector('.layer-error-message')) return;
+    const message = document.createElement('p');
+    message.className = 'layer-error-message';
+    message.textContent = t('map.loadError');
+    this.container.appendChild(message);
+  }
+
   ensureReady() {
     if (this.readyPromise) {
       return this.readyPromise;
@@ -101,10 +174,16 @@ export class MapLayer {
 
     // TopoJSON・スタイル設定読み込みを並行実行し、その後タイル背景初期化
     const jsonPromise = d3.json(WORLD_MAP_URL);
-    const stylePromise = d3.json(MAP_STYLE_URL);
+    // スタイル設定が読めない場合は各描画の既定値で続行する
+    const stylePromise = d3.json(MAP_STYLE_URL).catch((error) => {
+      console.warn('MapLayer style load failed (using defaults):', error);
+      return {};
+    });
 
     this.readyPromise = Promise.all([jsonPromise, stylePromise]).then(async ([topology, style]) => {
       this.style = style;
+      const validator = new ConfigValidator();
+      validator.report('config/map-style.json', validator.validateMapStyle(style));
       await this.initTileBackground().catch(() => null);
       const countryObject = topology?.objects?.countries;
       if (!countryObject) {
@@ -123,7 +202,7 @@ export class MapLayer {
     if (this.glMap || !this.container) return;
 
     try {
-      const [maplibregl, { Protocol }] = await Promise.all([
+      const [maplibregl, { Protocol, PMTiles }] = await Promise.all([
         import('maplibre-gl'),
         import('pmtiles'),
       ]);
@@ -133,31 +212,54 @@ export class MapLayer {
       const protocol = new Protocol();
       maplibre.addProtocol('pmtiles', protocol.tile);
 
+      // 地形（DEM）は tile.dem の順に試し、最初に読めたものを使う。全滅ならフラット表示
+      const tileStyle = this.style?.tile || {};
+      const hs = tileStyle.hillshade || {};
+      const demCandidates = [].concat(tileStyle.dem || DEFAULT_DEM_SOURCES);
+      const terrain = await this.resolveTileSource(demCandidates, protocol, PMTiles);
+      if (!terrain) {
+        throw new Error(`No DEM source available (tried: ${demCandidates.map((c) => c?.url || c).join(', ')})`);
+      }
+      const basemap = tileStyle.basemap?.url
+        ? await this.resolveTileSource([tileStyle.basemap], protocol, PMTiles)
+        : null;
+      if (tileStyle.basemap?.url && !basemap) {
+        console.warn(`MapLayer basemap unavailable, skipped: ${tileStyle.basemap.url}`);
+      }
+
+      const sources = {
+        terrain: {
+          type: 'raster-dem',
+          url: terrain.url,
+          tileSize: terrain.candidate.tileSize ?? 512,
+          encoding: terrain.candidate.encoding || 'terrarium',
+        },
+      };
+      const basemapLayers = [];
+      if (basemap) {
+        sources.basemap = { type: 'vector', url: basemap.url };
+        (t.basemap.layers || []).forEach((layer, index) => {
+          basemapLayers.push({ id: `basemap-${index}`, ...layer, source: 'basemap' });
+        });
+      }
+
       // MapLibreキャンバス用コンテナ
       this.tileContainer = document.createElement('div');
       this.tileContainer.className = 'map-tile-container';
       this.container.appendChild(this.tileContainer);
 
-      const t = this.style?.tile || {};
-      const hs = t.hillshade || {};
       this.glMap = new maplibre.Map({
         container: this.tileContainer,
         style: {
           version: 8,
-          sources: {
-            terrain: {
-              type: 'raster-dem',
-              url: 'https://tiles.mapterhorn.com/tilejson.json',
-              tileSize: 512,
-              encoding: 'terrarium',
-            },
-          },
+          sources,
           layers: [
             {
               id: 'background',
               type: 'background',
               paint: { 'background-color': t.backgroundColor || '#b8cee0' },
             },
+            ...basemapLayers,
             {
               id: 'hillshade',
               type: 'hillshade',
@@ -185,19 +287,52 @@ export class MapLayer {
       });
     } catch (error) {
       console.warn('MapLibre tile background init failed (falling back to flat map):', error);
+      this.glMap?.remove();
       this.glMap = null;
+      this.tileContainer?.remove();
+      this.tileContainer = null;
     }
   }
 
+  /**
+   * タイルソース候補を順に確認し、読めた最初の候補を MapLibre 用のURLと共に返す。
+   * .pmtiles はヘッダーを読んで pmtiles:// プロトコルで、それ以外は TileJSON として扱う
+   */
+  async resolveTileSource(candidates, protocol, PMTiles) {
+    for (const entry of candidates) {
+      const candidate = typeof entry === 'string' ? { url: entry } : entry;
+      if (!candidate?.url) continue;
+
+      const resolved = new URL(resolvePublicPath(candidate.url), window.location.href).href;
+      try {
+        if (isPmtilesPath(resolved)) {
+          const archive = new PMTiles(resolved);
+          await withTimeout(archive.getHeader(), TILE_PROBE_TIMEOUT);
+          protocol.add(archive);
+          return { candidate, url: `pmtiles://${resolved}` };
+        }
+        const response = await withTimeout(fetch(resolved), TILE_PROBE_TIMEOUT);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return { candidate, url: resolved };
+      } catch (error) {
+        console.warn(`MapLayer tile source unavailable: ${candidate.url}`, error);
+      }
+    }
+    return null;
+  }
+
   createSvg() {
     if (!this.container || this.svg) return;
 
+    // 画面のアスペクト比に合わせてviewBox幅を算出し、左右レターボックスを除去
+    this.viewBoxWidth = resolveViewBoxWidth(this.container, VIEWBOX_HEIGHT) ?? VIEWBOX_WIDTH;
+
     // SVGはtileContainerの後に追加（重なり順）
     this.svg = d3
       .select(this.container)
       .append('svg')
       .attr('class', 'map-svg-overlay')
-      .attr('viewBox', `0 0 ${VIEWBOX_WIDTH} ${VIEWBOX_HEIGHT}`)
+      .attr('viewBox', `0 0 ${this.viewBoxWidth} ${VIEWBOX_HEIGHT}`)
       .attr('preserveAspectRatio', 'xMidYMid meet')
       .attr('aria-label', 'world map');
 
@@ -207,9 +342,10 @@ export class MapLayer {
     const bgFlat = bg.flat || {};
     this.svg
       .append('rect')
+      .attr('class', 'map-background')
       .attr('x', 0)
       .attr('y', 0)
-      .attr('width', VIEWBOX_WIDTH)
+      .attr('width', this.viewBoxWidth)
       .attr('height', VIEWBOX_HEIGHT)
       .attr('fill', this.glMap ? (bgHs.fill || '#8ab4d0') : (bgFlat.fill || '#e8f0f8'))
       .attr('fill-opacity', this.glMap ? (bgHs.fillOpacity ?? 0.35) : (bgFlat.fillOpacity ?? 0.7));
@@ -227,22 +363,128 @@ export class MapLayer {
       .attr('vector-effect', 'non-scaling-stroke')
       .attr('stroke-linejoin', 'round');
 
+    this.routeGroup = this.svg.append('g').attr('class', 'map-routes');
     this.markerCircles = this.svg.append('g').attr('class', 'map-markers');
     this.markerLabels = this.svg.append('g').attr('class', 'map-marker-labels');
+    this.markerNumbers = this.svg.append('g').attr('class', 'map-marker-numbers');
+  }
+
+  async loadChoroplethData(mapConfig) {
+    if (mapConfig.mode !== 'choropleth' || !mapConfig.dataFile) return null;
+
+    const resolvedPath = resolvePublicPath(mapConfig.dataFile);
+
+    let rows = this.dataCache.get(resolvedPath);
+    if (!rows) {
+      try {
+        rows = await d3.csv(resolvedPath, d3.autoType);
+      } catch (error) {
+        console.warn(`MapLayer choropleth data load failed: ${resolvedPath}`, error);
+        return null;
+      }
+      this.dataCache.set(resolvedPath, rows);
+    }
+
+    const countryField = mapConfig.countryField || 'country';
+    const valueField = mapConfig.valueField || 'value';
+    const yearField = mapConfig.yearField || 'year';
+    const hasYear = rows.some((row) => row[yearField] != null);
+
+    // 年列がある場合は指定年（省略時は最新年）の行だけを使う
+    let year = null;
+    let targetRows = rows;
+    if (hasYear) {
+      const years = rows.map((row) => Number(row[yearField])).filter(Number.isFinite);
+      year = Number.isFinite(Number(mapConfig.year)) ? Number(mapConfig.year) : d3.max(years);
+      targetRows = rows.filter((row) => Number(row[yearField]) === year);
+    }
+
+    const toValueMap = (list) => {
+      const map = new Map();
+      list.forEach((row) => {
+        const key = normalizeCountryKey(row[countryField]);
+        const value = Number(row[valueField]);
+        if (key && Number.isFinite(value)) map.set(key, value);
+      });
+      return map;
+    };
+
+    // 年スライダー用に年ごとの値も保持する
+    const valuesByYear = new Map();
+    if (hasYear) {
+      d3.group(rows, (row) => Number(row[yearField])).forEach((list, y) => {
+        if (Number.isFinite(y)) valuesByYear.set(y, toValueMap(list));
+      });
+    }
+
+    return { valueByCountry: toValueMap(targetRows), year, valuesByYear };
+  }
+
+  resolveYearTimeline(mapConfig, choropleth) {
+    const range = mapConfig.yearRange;
+    if (!Array.isArray(range) || range.length !== 2 || choropleth.valuesByYear.size === 0) return null;
+    const from = Number(range[0]);
+    const to = Number(range[1]);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) return null;
+
+    const [lo, hi] = from < to ? [from, to] : [to, from];
+    const years = [...choropleth.valuesByYear.keys()].filter((y) => y >= lo && y <= hi).sort((a, b) => a - b);
+    if (years.length === 0) return null;
+    return { from, to, years, valuesByYear: choropleth.valuesByYear, year: from };
   }
 
-  applyConfig(mapConfig) {
+  // 前後の年の値を線形補間（前の年にデータがない国は未着色）
+  interpolateYearValue(timeline, d, year) {
+    const { years, valuesByYear } = timeline;
+    const i = d3.bisectRight(years, year);
+    const y0 = years[Math.max(0, i - 1)];
+    const y1 = years[Math.min(years.length - 1, i)];
+    const v0 = resolveFeatureValue(valuesByYear.get(y0), d);
+    const v1 = resolveFeatureValue(valuesByYear.get(y1), d);
+    if (v0 === undefined || v1 === undefined || y0 === y1 || year <= y0) return v0;
+    return v0 + (v1 - v0) * (Math.min(year, y1) - y0) / (y1 - y0);
+  }
+
+  buildChoroplethScale(mapConfig, values) {
+    const themePrimary = this.getThemePrimary();
+    const schemeName = mapConfig.colorScheme;
+    const scheme = schemeName ? d3[`interpolate${schemeName}`] : null;
+    if (schemeName && typeof scheme !== 'function') {
+      console.warn(`MapLayer: unknown colorScheme "${schemeName}"`);
+    }
+    const configDomain = Array.isArray(mapConfig.colorDomain) ? mapConfig.colorDomain.map(Number) : null;
+    const [minValue, maxValue] = d3.extent(values);
+
+    if (mapConfig.colorScale === 'diverging') {
+      const midpoint = Number(mapConfig.colorMidpoint ?? 0);
+      const domain = configDomain?.length === 3
+        ? configDomain
+        : [Math.min(minValue ?? midpoint, midpoint), midpoint, Math.max(maxValue ?? midpoint, midpoint)];
+      // 既定は中点を白とし、大きいほど赤（RdBuを反転）
+      return d3.scaleDiverging(typeof scheme === 'function' ? scheme : (value) => d3.interpolateRdBu(1 - value)).domain(domain).clamp(true);
+    }
+
+    const domain = configDomain?.length === 2 ? configDomain : [minValue ?? 0, maxValue ?? 1];
+    const interpolator = typeof scheme === 'function' ? scheme : d3.interpolateRgb('#f3f4f6', themePrimary);
+    return d3.scaleSequential(interpolator).domain(domain).clamp(true);
+  }
+
+  /**
+   * immediate: トランジションなしで配置する（リサイズ時の再レイアウト）
+   */
+  applyConfig(mapConfig, choropleth = null, { immediate = false } = {}) {
     if (!this.countryPaths) return;
 
-    const center = this.resolveCenter(mapConfig.center);
-    const zoom = Number.isFinite(mapConfig.zoom) ? mapConfig.zoom : 1.2;
+    const fitView = mapConfig.fitToMarkers ? this.resolveFitView(mapConfig) : null;
+    const center = fitView ? fitView.center : this.resolveCenter(mapConfig.center);
+    const zoom = fitView ? fitView.zoom : (Number.isFinite(mapConfig.zoom) ? mapConfig.zoom : 1.2);
     const highlightCountries = resolveHighlightCountries(mapConfig);
     const lightenNonVisited = Boolean(mapConfig.lightenNonVisited || mapConfig.lightenAllCountries);
     const projection = d3
       .geoMercator()
       .center(center)
-      .scale(BASE_SCALE * zoom)
-      .translate([VIEWBOX_WIDTH / 2, VIEWBOX_HEIGHT / 2]);
+      .scale(this.projectionScale(zoom))
+      .translate([this.viewBoxWidth / 2, VIEWBOX_HEIGHT / 2]);
     const path = d3.geoPath(projection);
 
     // hillshadeがある場合はfill-opacityを下げて地形を透過させる
@@ -253,12 +495,12 @@ export class MapLayer {
     const csHl = cs.highlight || {};
     const themePrimary = this.getThemePrimary();
 
-    const fillFn = (d) => {
+    let fillFn = (d) => {
       const name = d.properties?.name;
       if (highlightCountries.has(name)) return csHl.fill || themePrimary;
       return csMode.fill || (hasHillshade ? '#f8f8f8' : '#3f4f63');
     };
-    const fillOpacityFn = (d) => {
+    let fillOpacityFn = (d) => {
       const name = d.properties?.name;
       if (highlightCountries.has(name)) return csOp.highlight ?? 0.45;
       if (highlightCountries.size === 0) {
@@ -266,6 +508,33 @@ export class MapLayer {
       }
       return lightenNonVisited ? (csOp.lightenNonVisited ?? 0.35) : (csOp.nonHighlight ?? 0.55);
     };
+    // 塗り分け（choropleth）: データのある国をカラースケールで塗る
+    const timeline = choropleth ? this.resolveYearTimeline(mapConfig, choropleth) : null;
+    if (choropleth) {
+      const chs = this.style?.choropleth || {};
+      // 年スライダー時は期間内の全年の値で色域を固定する
+      const domainValues = timeline
+        ? timeline.years.flatMap((y) => [...timeline.valuesByYear.get(y).values()])
+        : [...choropleth.valueByCountry.values()];
+      const colorScale = this.buildChoroplethScale(mapConfig, domainValues);
+      const valueOf = timeline
+        ? (d) => this.interpolateYearValue(timeline, d, timeline.year)
+        : (d) => resolveFeatureValue(choropleth.valueByCountry, d);
+      const baseFill = fillFn;
+      fillFn = (d) => {
+        const value = valueOf(d);
+        if (value === undefined) return chs.noDataFill || baseFill(d);
+        return colorScale(value);
+      };
+      fillOpacityFn = (d) => (valueOf(d) === undefined
+        ? (chs.noDataOpacity ?? 0.3)
+        : (chs.fillOpacity ?? 0.85));
+      this.updateChoroplethLegend(mapConfig, colorScale, timeline ? null : choropleth.year);
+    } else {
+      this.updateChoroplethLegend(null);
+    }
+    this.setupYearTimeline(mapConfig, timeline, fillFn, fillOpacityFn);
+
     const strokeFn = (d) => (highlightCountries.has(d.properties?.name) ? (csHl.stroke || themePrimary) : (csMode.stroke || '#9a9a9a'));
     const strokeOpacityFn = (d) => (highlightCountries.has(d.properties?.name) ? (csHl.strokeOpacity ?? 0.5) : (csMode.strokeOpacity ?? 0.35));
     const strokeWidthFn = (d) => (highlightCountries.has(d.properties?.name) ? (csHl.strokeWidth ?? 1.0) : (cs.defaultStrokeWidth ?? 0.4));
@@ -273,8 +542,8 @@ export class MapLayer {
     // 初回表示（pathにd属性がない）かどうかで分岐
     const isFirstRender = !this.countryPaths.node()?.getAttribute('d');
 
-    if (isFirstRender) {
-      // 初回: トランジションなしで即座に配置（SVGとhillshadeのズレを防止）
+    if (isFirstRender || immediate || isReducedMotion()) {
+      // 初回: トランジションなしで即座に配置（SVGとhillshadeのズレを防止）。再レイアウト時・動きを抑える設定でも同様
       this.countryPaths
         .attr('d', path)
         .attr('fill', fillFn)
@@ -291,13 +560,16 @@ export class MapLayer {
       }
     } else {
       // 2回目以降: トランジション付きでスムーズに移動
-      this.countryPaths
+      const countryTransition = this.countryPaths
         .transition()
-        .duration(650)
+        .duration(motionDuration(650))
         .ease(d3.easeCubicOut)
-        .attr('d', path)
+        .attr('d', path);
+      // 年スライダー時の塗りはスクロールで直接更新するため、トランジションに含めない
+      (timeline ? this.countryPaths : countryTransition)
         .attr('fill', fillFn)
-        .attr('fill-opacity', fillOpacityFn)
+        .attr('fill-opacity', fillOpacityFn);
+      countryTransition
         .attr('stroke', strokeFn)
         .attr('stroke-opacity', strokeOpacityFn)
         .attr('stroke-width', strokeWidthFn);
@@ -316,12 +588,12 @@ export class MapLayer {
         if (this._cameraTimer) this._cameraTimer.stop();
 
         this._cameraTimer = d3.timer(() => {
-          const t = Math.min(1, (performance.now() - startTime) / duration);
-          const et = ease(t);
+          const progress = Math.min(1, (performance.now() - startTime) / duration);
+          const et = ease(progress);
           try {
             this.jumpTileCamera([interpLng(et), interpLat(et)], interpZoom(et));
           } catch (_e) { /* ignore */ }
-          if (t >= 1) {
+          if (progress >= 1) {
             this._cameraTimer.stop();
             this._cameraTimer = null;
           }
@@ -329,19 +601,264 @@ export class MapLayer {
       }
     }
 
+    this.updateRoutes(mapConfig.routes || [], projection, {
+      delay: isFirstRender || immediate ? 0 : 650,
+      showDistance: Boolean(mapConfig.showRouteDistance),
+    });
     this.updateMarkers(mapConfig.markers || [], projection);
+    this.updateTimelineStrip(mapConfig.timelineStrip || []);
 
     this.currentCenter = center;
     this.currentZoom = zoom;
+    this.appliedView = { mapConfig, choropleth };
+  }
+
+  /**
+   * 画面サイズ・向きの変化に合わせて、投影とMapLibreのカメラを合わせ直す（トランジションなし）
+   */
+  relayout() {
+    if (!this.svg || !this.appliedView) return;
+
+    const viewBoxWidth = resolveViewBoxWidth(this.container, VIEWBOX_HEIGHT);
+    if (viewBoxWidth == null || viewBoxWidth === this.viewBoxWidth) return;
+
+    this.viewBoxWidth = viewBoxWidth;
+    this.svg.attr('viewBox', `0 0 ${viewBoxWidth} ${VIEWBOX_HEIGHT}`);
+    this.svg.select('.map-background').attr('width', viewBoxWidth);
+    if (this.glMap) {
+      try { this.glMap.resize(); } catch (_e) { /* ignore */ }
+    }
+
+    const { mapConfig, choropleth } = this.appliedView;
+    const resume = suspendMotion();
+    try {
+      this.applyConfig(mapConfig, choropleth, { immediate: true });
+    } finally {
+      resume();
+    }
+  }
+
+  setupYearTimeline(mapConfig, timeline, fillFn, fillOpacityFn) {
+    this.teardownYearTimeline();
+    if (!timeline || !this.svg) return;
+
+    const ys = this.style?.choropleth?.yearLabel || {};
+    // applyConfig の塗り関数が参照する timeline.year をそのまま更新できるよう同一オブジェクトを保持
+    this.yearTimeline = Object.assign(timeline, { fillFn, fillOpacityFn, playDuration: Number(mapConfig.playDuration) || 6000 });
+    this.yearTimeline.label = this.svg
+      .append('text')
+      .attr('class', 'map-year-label')
+      .attr('x', this.viewBoxWidth - 40)
+      .attr('y', VIEWBOX_HEIGHT - 40)
+      .attr('text-anchor', 'end')
+      .attr('fill', ys.fill || '#1f2937')
+      .attr('fill-opacity', ys.opacity ?? 0.75)
+      .attr('font-size', ys.fontSize ?? 72)
+      .attr('font-weight', 700)
+      .attr('paint-order', 'stroke')
+      .attr('stroke', ys.stroke || 'rgba(255,255,255,0.8)')
+      .attr('stroke-width', 4);
+
+    if (mapConfig.playControl) {
+      this.createPlayControl();
+    }
+
+    const progress = Number.isFinite(this.stepProgress) ? this.stepProgress : 0;
+    this.setTimelineYear(timeline.from + (timeline.to - timeline.from) * progress);
+  }
+
+  setTimelineYear(year) {
+    const timeline = this.yearTimeline;
+    if (!timeline || !this.countryPaths) return;
+    timeline.year = year;
+    this.countryPaths
+      .attr('fill', timeline.fillFn)
+      .attr('fill-opacity', timeline.fillOpacityFn);
+    timeline.label?.text(t('common.year', { year: Math.round(year) }));
+  }
+
+  /**
+   * Step内のスクロール進捗（0..1）に合わせて表示年を動かす
+   */
+  setStepProgress(progress) {
+    this.stepProgress = progress;
+    if (!this.yearTimeline) return;
+    // スクロール操作を優先し、再生中なら停止する
+    this.stopPlayback();
+    const { from, to } = this.yearTimeline;
+    this.setTimelineYear(from + (to - from) * progress);
+  }
+
+  createPlayControl() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'map-play-control';
+    button.addEventListener('click', () => {
+      if (this._playTimer) {
+        this.stopPlayback();
+      } else {
+        this.startPlayback();
+      }
+    });
+    document.body.appendChild(button);
+    this.playControl = button;
+    this.updatePlayControl();
+  }
+
+  updatePlayControl() {
+    if (!this.playControl) return;
+    const playing = Boolean(this._playTimer);
+    this.playControl.textContent = playing ? '❚❚' : '▶';
+    this.playControl.setAttribute('aria-label', playing ? t('map.pause') : t('map.play'));
+    this.playControl.setAttribute('aria-pressed', String(playing));
+  }
+
+  startPlayback() {
+    const timeline = this.yearTimeline;
+    if (!timeline) return;
+    const { from, to, playDuration } = timeline;
+    // 終端にいる場合は始点から再生し直す
+    const current = Math.abs(timeline.year - to) < 1e-6 ? from : timeline.year;
+    const remaining = Math.abs(to - current) / Math.abs(to - from);
+    const duration = playDuration * remaining;
+
+    this._playTimer = d3.timer((elapsed) => {
+      const progress = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+      this.setTimelineYear(current + (to - current) * progress);
+      if (progress >= 1) this.stopPlayback();
+    });
+    this.updatePlayControl();
+  }
+
+  stopPlayback() {
+    if (this._playTimer) {
+      this._playTimer.stop();
+      this._playTimer = null;
+    }
+    this.updatePlayControl();
+  }
+
+  teardownYearTimeline() {
+    this.stopPlayback();
+    if (this.playControl) {
+      this.playControl.remove();
+      this.playControl = null;
+    }
+    this.yearTimeline?.label?.remove();
+    this.yearTimeline = null;
+  }
+
+  updateChoroplethLegend(mapConfig, colorScale, year = null) {
+    if (!this.svg) return;
+    this.svg.select('.map-legend').remove();
+    if (!mapConfig || mapConfig.legend === false) return;
+
+    const chs = this.style?.choropleth || {};
+    const lgs = chs.legend || {};
+    const formatValue = createNumberFormatter(mapConfig);
+    const barWidth = lgs.width ?? 260;
+    const barHeight = 12;
+    const padding = 14;
+    const fontSize = lgs.fontSize ?? 14;
+    const textFill = lgs.textFill || '#1f2937';
+    const title = [mapConfig.legendTitle, year != null ? t('common.year', { year }) : null].filter(Boolean).join(' ');
+    const titleH = title ? fontSize + 8 : 0;
+    const boxWidth = barWidth + padding * 2;
+    const boxHeight = padding * 2 + titleH + barHeight + fontSize + 28;
+    const x = lgs.x ?? 32;
+    const y = VIEWBOX_HEIGHT - boxHeight - (lgs.bottom ?? 32);
+
+    const legend = this.svg
+      .append('g')
+      .attr('class', 'map-legend')
+      .attr('transform', `translate(${x}, ${y})`)
+      .attr('opacity', 0);
+
+    legend
+      .append('rect')
+      .attr('width', boxWidth)
+      .attr('height', boxHeight)
+      .attr('rx', 6)
+      .attr('fill', lgs.background || 'rgba(255,255,255,0.85)');
+
+    if (title) {
+      legend
+        .append('text')
+        .attr('x', padding)
+        .attr('y', padding + fontSize)
+        .attr('fill', textFill)
+        .attr('font-size', fontSize)
+        .attr('font-weight', 600)
+        .text(title);
+    }
+
+    // グラデーションバー
+    const domain = colorScale.domain();
+    const [d0, d1] = [domain[0], domain[domain.length - 1]];
+    const gradientId = 'map-choropleth-gradient';
+    const gradient = legend
+      .append('defs')
+      .append('linearGradient')
+      .attr('id', gradientId)
+      .attr('x1', '0%').attr('x2', '100%')
+      .attr('y1', '0%').attr('y2', '0%');
+    d3.range(0, 1.0001, 0.1).forEach((offset) => {
+      gradient
+        .append('stop')
+        .attr('offset', `${offset * 100}%`)
+        .attr('stop-color', colorScale(d0 + (d1 - d0) * offset));
+    });
+
+    const barY = padding + titleH;
+    legend
+      .append('rect')
+      .attr('x', padding)
+      .attr('y', barY)
+      .attr('width', barWidth)
+      .attr('height', barHeight)
+      .attr('fill', `url(#${gradientId})`);
+
+    const position = d3.scaleLinear().domain([d0, d1]).range([padding, padding + barWidth]);
+    legend
+      .selectAll('text.map-legend-tick')
+      .data(domain)
+      .join('text')
+      .attr('class', 'map-legend-tick')
+      .attr('x', (d) => position(d))
+      .attr('y', barY + barHeight + fontSize + 4)
+      .attr('text-anchor', (_, i) => (i === 0 ? 'start' : i === domain.length - 1 ? 'end' : 'middle'))
+      .attr('fill', textFill)
+      .attr('font-size', fontSize)
+      .text((d) => formatValue(d));
+
+    // データなし
+    const noDataY = barY + barHeight + fontSize + 14;
+    legend
+      .append('rect')
+      .attr('x', padding)
+      .attr('y', noDataY)
+      .attr('width', 10)
+      .attr('height', 10)
+      .attr('fill', chs.noDataFill || '#9ca3af')
+      .attr('fill-opacity', chs.noDataFill ? 1 : 0.5);
+    legend
+      .append('text')
+      .attr('x', padding + 16)
+      .attr('y', noDataY + 9)
+      .attr('fill', textFill)
+      .attr('font-size', fontSize - 2)
+      .text(t('common.noData'));
+
+    legend.transition().duration(motionDuration(400)).attr('opacity', 1);
   }
 
   jumpTileCamera(center, d3Zoom) {
     if (!this.glMap || !this.container) return;
 
-    const d3Scale = BASE_SCALE * d3Zoom;
+    const d3Scale = this.projectionScale(d3Zoom);
     const containerWidth = this.container.clientWidth;
     const containerHeight = this.container.clientHeight;
-    const viewBoxScale = Math.min(containerWidth / VIEWBOX_WIDTH, containerHeight / VIEWBOX_HEIGHT);
+    const viewBoxScale = Math.min(containerWidth / this.viewBoxWidth, containerHeight / VIEWBOX_HEIGHT);
     const effectiveScale = d3Scale * viewBoxScale;
     const maplibreZoom = Math.log2(effectiveScale * 2 * Math.PI / 512);
 
@@ -351,6 +868,14 @@ export class MapLayer {
     });
   }
 
+  /**
+   * ズームに対応する投影のスケール。縦長の画面ではviewBoxが狭くなるため、
+   * 従来（幅1440に収める表示）と同じ見え方になるよう縮める
+   */
+  projectionScale(zoom) {
+    return BASE_SCALE * zoom * Math.min(1, this.viewBoxWidth / VIEWBOX_WIDTH);
+  }
+
   resolveCenter(center) {
     if (!Array.isArray(center) || center.length !== 2) {
       return [0, 15];
@@ -362,6 +887,35 @@ export class MapLayer {
     return [lng, lat];
   }
 
+  /**
+   * 全マーカー（と経路）が収まる中心・ズームを求める。下端のタイムライン帯の分だけ余白を取る
+   */
+  resolveFitView(mapConfig) {
+    const coordinates = (mapConfig.markers || [])
+      .map((marker) => [Number(marker.longitude), Number(marker.latitude)])
+      .concat((mapConfig.routes || []).flatMap((route) => [route.from, route.to]))
+      .filter((point) => Array.isArray(point) && point.every(Number.isFinite));
+    if (coordinates.length === 0) return null;
+
+    const padding = 120;
+    const bottom = (mapConfig.timelineStrip?.length ? 120 : 0) + padding;
+    const projection = d3.geoMercator().fitExtent(
+      [[padding, padding], [this.viewBoxWidth - padding, VIEWBOX_HEIGHT - bottom]],
+      { type: 'MultiPoint', coordinates },
+    );
+    const zoom = Math.min(projection.scale() / this.projectionScale(1), mapConfig.maxZoom ?? 4);
+    // 余白を除いた領域の中心にマーカー群の中心が来るよう、地図の中心を求める
+    const focusY = (padding + VIEWBOX_HEIGHT - bottom) / 2;
+    const focus = projection.invert([this.viewBoxWidth / 2, focusY]);
+    const center = d3
+      .geoMercator()
+      .center(focus)
+      .scale(this.projectionScale(zoom))
+      .translate([this.viewBoxWidth / 2, focusY])
+      .invert([this.viewBoxWidth / 2, VIEWBOX_HEIGHT / 2]);
+    return { center, zoom };
+  }
+
   updateMarkers(markers, projection) {
     if (!this.markerCircles || !this.markerLabels) return;
 
@@ -391,7 +945,9 @@ export class MapLayer {
           country: marker.country || '',
           isCurrent: Boolean(marker.isCurrent),
           color: this.getThemePrimary(),
-          size: Number(marker.size) || defaultSize,
+          number: marker.number != null ? String(marker.number) : null,
+          // 番号付きマーカーは数字が収まる大きさにする
+          size: Number(marker.size) || (marker.number != null ? (ms.numberedSize ?? 12) : defaultSize),
         };
       })
       .filter(Boolean);
@@ -403,7 +959,7 @@ export class MapLayer {
     circles
       .exit()
       .transition()
-      .duration(200)
+      .duration(motionDuration(200))
       .attr('r', 0)
       .remove();
 
@@ -416,7 +972,7 @@ export class MapLayer {
       .attr('fill-opacity', 0.1)
       .merge(circles)
       .transition()
-      .duration(650)
+      .duration(motionDuration(650))
       .ease(d3.easeCubicOut)
       .attr('cx', (d) => d.x)
       .attr('cy', (d) => d.y)
@@ -435,7 +991,7 @@ export class MapLayer {
     labels
       .exit()
       .transition()
-      .duration(150)
+      .duration(motionDuration(150))
       .attr('opacity', 0)
       .remove();
 
@@ -455,12 +1011,257 @@ export class MapLayer {
       .text((d) => d.name)
       .merge(labels)
       .transition()
-      .duration(650)
+      .duration(motionDuration(650))
       .ease(d3.easeCubicOut)
       .attr('x', (d) => d.x + labelOffsetX)
       .attr('y', (d) => d.y + labelOffsetY)
       .attr('opacity', 1)
       .text((d) => d.name);
+
+    const numbers = this.markerNumbers
+      ?.selectAll('text')
+      .data(normalized.filter((d) => d.number), (d) => d.id);
+    if (!numbers) return;
+
+    numbers.exit().remove();
+
+    numbers
+      .enter()
+      .append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'central')
+      .attr('x', (d) => d.x)
+      .attr('y', (d) => d.y)
+      .attr('fill', ms.numberFill || '#ffffff')
+      .attr('font-size', (d) => (d.number.length > 2 ? 9 : 12))
+      .attr('font-weight', 700)
+      .attr('pointer-events', 'none')
+      .attr('opacity', 0)
+      .text((d) => d.number)
+      .merge(numbers)
+      .transition()
+      .duration(motionDuration(650))
+      .ease(d3.easeCubicOut)
+      .attr('x', (d) => d.x)
+      .attr('y', (d) => d.y)
+      .attr('opacity', 1)
+      .text((d) => d.number);
+  }
+
+  /**
+   * cities-timeline モード: 画面下端に訪問順の都市を並べた帯を表示する
+   */
+  updateTimelineStrip(items) {
+    if (!this.svg) return;
+    this.svg.select('.map-timeline-strip').remove();
+    if (!items.length) return;
+
+    const ts = this.style?.timelineStrip || {};
+    const themePrimary = this.getThemePrimary();
+    const fontSize = ts.fontSize ?? 13;
+    const radius = 11;
+    const maxWidth = Math.max(0, this.viewBoxWidth - 240);
+    const spacing = items.length > 1 ? Math.min(ts.spacing ?? 150, maxWidth / (items.length - 1)) : 0;
+    const width = spacing * (items.length - 1);
+    const y = VIEWBOX_HEIGHT - (ts.bottom ?? 64);
+
+    const strip = this.svg
+      .append('g')
+      .attr('class', 'map-timeline-strip')
+      .attr('transform', `translate(${(this.viewBoxWidth - width) / 2}, ${y})`)
+      .attr('opacity', 0);
+
+    strip
+      .append('rect')
+      .attr('x', -radius - 40)
+      .attr('y', -radius - 12)
+      .attr('width', width + (radius + 40) * 2)
+      .attr('height', radius * 2 + fontSize + 30)
+      .attr('rx', 8)
+      .attr('fill', ts.background || 'rgba(10,14,22,0.6)');
+
+    strip
+      .append('line')
+      .attr('x1', 0)
+      .attr('x2', width)
+      .attr('stroke', themePrimary)
+      .attr('stroke-opacity', 0.6)
+      .attr('stroke-width', 2);
+
+    const item = strip
+      .selectAll('g.map-timeline-item')
+      .data(items)
+      .join('g')
+      .attr('class', 'map-timeline-item')
+      .attr('transform', (_, i) => `translate(${i * spacing}, 0)`);
+
+    item
+      .append('circle')
+      .attr('r', radius)
+      .attr('fill', themePrimary)
+      .attr('stroke', '#f5f0ec')
+      .attr('stroke-width', 1.5);
+
+    item
+      .append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'central')
+      .attr('fill', '#ffffff')
+      .attr('font-size', 12)
+      .attr('font-weight', 700)
+      .text((d) => d.number);
+
+    item
+      .append('text')
+      .attr('text-anchor', 'middle')
+      .attr('y', radius + fontSize + 2)
+      .attr('fill', ts.textFill || '#f5f0ec')
+      .attr('font-size', fontSize)
+      .text((d) => d.name);
+
+    strip.transition().duration(motionDuration(400)).attr('opacity', 1);
+  }
+
+  updateRoutes(routes, projection, { delay = 0, showDistance = false } = {}) {
+    if (!this.routeGroup) return;
+
+    const rs = this.style?.route || {};
+    const rsOp = rs.strokeOpacity || {};
+    const color = rs.stroke || this.getThemePrimary();
+    const drawDuration = rs.drawDuration ?? 1200;
+    const formatDistance = createNumberFormatter({ format: ',.0f', unit: 'km' });
+
+    // 大圏航路を一定の点数でサンプリングし、カメラ移動時もパス補間が崩れないようにする
+    const sampleCount = 48;
+    const normalized = routes
+      .map((route) => {
+        const from = (route.from || []).map(Number);
+        const to = (route.to || []).map(Number);
+        if (![...from, ...to].every(Number.isFinite) || from.length !== 2 || to.length !== 2) {
+          return null;
+        }
+        const interpolate = d3.geoInterpolate(from, to);
+        return {
+          id: route.id || `${from.join(',')}->${to.join(',')}`,
+          isCurrent: Boolean(route.isCurrent),
+          distance: Number(route.distance) || Math.round(d3.geoDistance(from, to) * 6371),
+          points: d3.range(sampleCount + 1).map((i) => interpolate(i / sampleCount)),
+        };
+      })
+      .filter(Boolean);
+
+    // 投影は d3.geoPath に任せ、日付変更線をまたぐ経路の分割や投影できない点の除外を行わせる
+    const routePath = d3.geoPath(projection);
+    const toPath = (d) => routePath({ type: 'LineString', coordinates: d.points }) || '';
+    const opacityFn = (d) => (d.isCurrent ? (rsOp.current ?? 0.95) : (rsOp.default ?? 0.5));
+
+    const paths = this.routeGroup
+      .selectAll('path.map-route')
+      .data(normalized, (d) => d.id);
+
+    paths
+      .exit()
+      .interrupt('route-draw')
+      .transition()
+      .duration(motionDuration(200))
+      .attr('stroke-opacity', 0)
+      .remove();
+
+    paths
+      .transition()
+      .duration(motionDuration(650))
+      .ease(d3.easeCubicOut)
+      .attr('d', toPath)
+      .attr('stroke-opacity', opacityFn);
+
+    // 新しく加わった経路だけ出発地から線を描き進める（既存の経路はそのまま残す）
+    const routeGroup = this.routeGroup;
+    paths
+      .enter()
+      .append('path')
+      .attr('class', 'map-route')
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', rs.strokeWidth ?? 2)
+      .attr('stroke-linecap', 'round')
+      .attr('stroke-opacity', opacityFn)
+      .attr('d', toPath)
+      .each(function () {
+        const node = this;
+        const length = node.getTotalLength?.() || 0;
+        if (!length) return;
+
+        const traveler = routeGroup
+          .append('circle')
+          .attr('class', 'map-route-traveler')
+          .attr('r', rs.travelerSize ?? 4)
+          .attr('fill', color)
+          .attr('opacity', 0);
+        const finish = () => {
+          traveler.remove();
+          d3.select(node).attr('stroke-dasharray', null).attr('stroke-dashoffset', null);
+        };
+
+        d3.select(node)
+          .attr('stroke-dasharray', `${length} ${length}`)
+          .attr('stroke-dashoffset', length)
+          .transition('route-draw')
+          .delay(motionDuration(delay))
+          .duration(motionDuration(drawDuration))
+          .ease(d3.easeCubicInOut)
+          .attr('stroke-dashoffset', 0)
+          .tween('traveler', () => (progress) => {
+            const point = node.getPointAtLength(length * progress);
+            traveler.attr('cx', point.x).attr('cy', point.y).attr('opacity', progress < 1 ? 1 : 0);
+          })
+          .on('end', finish)
+          .on('interrupt', finish)
+          .on('cancel', finish);
+      });
+
+    // 距離ラベルは経路の中間点に置く（中間点が投影できない経路には付けない）
+    const labelPoint = (d) => projection(d.points[Math.floor(sampleCount / 2)]);
+    const labelData = showDistance ? normalized.filter((d) => d.distance > 0 && labelPoint(d)) : [];
+    const labelX = (d) => labelPoint(d)[0];
+    const labelY = (d) => labelPoint(d)[1] - 8;
+    const labels = this.routeGroup
+      .selectAll('text.map-route-distance')
+      .data(labelData, (d) => d.id);
+
+    labels
+      .exit()
+      .transition()
+      .duration(motionDuration(150))
+      .attr('opacity', 0)
+      .remove();
+
+    labels
+      .enter()
+      .append('text')
+      .attr('class', 'map-route-distance')
+      .attr('text-anchor', 'middle')
+      .attr('x', labelX)
+      .attr('y', labelY)
+      .attr('fill', rs.labelFill || '#f5f0ec')
+      .attr('font-size', rs.labelFontSize ?? 12)
+      .attr('paint-order', 'stroke')
+      .attr('stroke', 'rgba(10,14,22,0.9)')
+      .attr('stroke-width', 3)
+      .attr('stroke-linejoin', 'round')
+      .attr('opacity', 0)
+      .text((d) => t('map.approx', { value: formatDistance(d.distance) }))
+      .transition()
+      .delay(motionDuration(delay + drawDuration))
+      .duration(motionDuration(300))
+      .attr('opacity', (d) => (d.isCurrent ? 1 : 0.6));
+
+    labels
+      .transition()
+      .duration(motionDuration(650))
+      .ease(d3.easeCubicOut)
+      .attr('x', labelX)
+      .attr('y', labelY)
+      .attr('opacity', (d) => (d.isCurrent ? 1 : 0.6));
   }
 
   clear() {
@@ -468,6 +1269,7 @@ export class MapLayer {
       this._cameraTimer.stop();
       this._cameraTimer = null;
     }
+    this.teardownYearTimeline();
     // MapLibreインスタンスは破棄せず保持（再利用のため）、非表示にする
     if (this.tileContainer) {
       this.tileContainer.style.display = 'none';
@@ -475,14 +1277,18 @@ export class MapLayer {
     if (this.container) {
       const svg = this.container.querySelector('.map-svg-overlay');
       if (svg) svg.remove();
+      this.container.querySelector('.layer-error-message')?.remove();
     }
     this.svg = null;
     this.countryPaths = null;
     this.markerCircles = null;
     this.markerLabels = null;
+    this.markerNumbers = null;
+    this.routeGroup = null;
     this.countryFeatures = [];
     this.readyPromise = null;
     this.pendingConfig = null;
+    this.appliedView = null;
   }
 
   getThemePrimary() {
@@ -490,6 +1296,7 @@ export class MapLayer {
   }
 
   destroy() {
+    this.unsubscribeResize();
     this.clear();
     if (this.glMap) {
       this.glMap.remove();
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { isReducedMotion, onMotionChange } from '../utils/motion.js';
 
 export class WebGLLayer {
   constructor(canvas) {
@@ -9,7 +10,9 @@ export class WebGLLayer {
     this.particles = null;
     this.uniforms = {};
     this.animationId = null;
+    this.unsubscribeMotion = null;
     this.progress = 0;
+    this.stepProgress = 0;
     this.themeColor = new THREE.Color('#66c2a5');
   }
 
@@ -32,7 +35,12 @@ export class WebGLLayer {
     this.camera.position.z = 5;
 
     this.createParticles();
-    this.animate();
+    this.unsubscribeMotion = onMotionChange((reduced) => (reduced ? this.pause() : this.resume()));
+    if (isReducedMotion()) {
+      this.renderFrame();
+    } else {
+      this.animate();
+    }
 
     window.addEventListener('resize', () => this.onResize());
   }
@@ -59,6 +67,7 @@ export class WebGLLayer {
       uniforms: {
         uTime: { value: 0 },
         uProgress: { value: 0 },
+        uStepProgress: { value: 0 },
         uColor: { value: this.themeColor },
         uSize: { value: 3.0 },
         uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
@@ -67,6 +76,7 @@ export class WebGLLayer {
         attribute float aRandom;
         uniform float uTime;
         uniform float uProgress;
+        uniform float uStepProgress;
         uniform float uSize;
         uniform float uPixelRatio;
         varying float vAlpha;
@@ -76,12 +86,15 @@ export class WebGLLayer {
           pos.x += sin(uTime * 0.3 + aRandom * 6.28) * 0.5;
           pos.y += cos(uTime * 0.2 + aRandom * 6.28) * 0.5;
           pos.z += sin(uTime * 0.1 + aRandom * 3.14) * 0.3;
+          // Step内のスクロールに合わせて粒子を奥行きに応じた速さで持ち上げる（視差）
+          pos.y += (uStepProgress - 0.5) * (0.6 + aRandom) * 1.2;
 
           vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
           gl_PointSize = uSize * uPixelRatio * (1.0 / -mvPosition.z);
           gl_Position = projectionMatrix * mvPosition;
 
-          vAlpha = 0.3 + aRandom * 0.5;
+          // Stepの中ほどで最も明るくする
+          vAlpha = (0.3 + aRandom * 0.5) * (0.7 + 0.3 * sin(uStepProgress * 3.14159));
         }
       `,
       fragmentShader: `
@@ -105,19 +118,47 @@ export class WebGLLayer {
   animate() {
     this.animationId = requestAnimationFrame(() => this.animate());
     this.uniforms.uTime.value += 0.01;
+    this.renderFrame();
+  }
+
+  renderFrame() {
     this.uniforms.uProgress.value = this.progress;
+    this.uniforms.uStepProgress.value = this.stepProgress;
     this.renderer.render(this.scene, this.camera);
   }
 
+  /**
+   * 動きを抑える設定では粒子の揺らぎを止め、静止した1フレームだけを描く
+   */
+  pause() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.renderFrame();
+  }
+
+  resume() {
+    if (!this.animationId) this.animate();
+  }
+
   setProgress(progress) {
     this.progress = progress;
   }
 
+  /**
+   * Step内進捗（粒子の持ち上がりと明るさ）。動きを抑える設定では静止したフレームのまま更新しない
+   */
+  setStepProgress(progress) {
+    this.stepProgress = progress;
+  }
+
   setThemeColor(hex) {
     this.themeColor.set(hex);
     if (this.uniforms.uColor) {
       this.uniforms.uColor.value = this.themeColor;
     }
+    if (!this.animationId && this.renderer) this.renderFrame();
   }
 
   onResize() {
@@ -129,12 +170,17 @@ export class WebGLLayer {
     if (this.uniforms.uPixelRatio) {
       this.uniforms.uPixelRatio.value = Math.min(window.devicePixelRatio, 2);
     }
+    // ループ停止中はサイズ変更後の状態を描き直す
+    if (!this.animationId) this.renderFrame();
   }
 
   destroy() {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
+      this.animationId = null;
     }
+    this.unsubscribeMotion?.();
+    this.unsubscribeMotion = null;
     this.particles?.geometry.dispose();
     this.particles?.material.dispose();
     this.renderer?.dispose();
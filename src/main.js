@@ -1,5 +1,8 @@
 import './style.css';
 import { TopPage } from './core/top-page.js';
+import { applyDocumentLocale, t } from './utils/i18n.js';
+
+applyDocumentLocale(t('site.title'));
 
 const topPage = new TopPage(document.getElementById('scroll-content'));
 topPage.render();
@@ -0,0 +1,167 @@
+import { t } from './i18n.js';
+
+/**
+ * スクリーンリーダー向けのチャート説明（要約文 + データ表）を組み立てる。
+ * 戻り値は { summary, columns, rows }。rows は表示用に整形済みの文字列の配列
+ */
+
+/**
+ * 時系列・カテゴリ別の値（line / bar / streamgraph / bump）。x を行、系列を列にした表にする
+ */
+export function describeSeries(dataset, options) {
+  const {
+    xField,
+    yField,
+    seriesField,
+    formatValue,
+    xLabel = xField === 'year' ? t('description.year') : xField,
+    valueLabel = t('description.value'),
+    kind = 'value',
+  } = options;
+
+  const rows = (Array.isArray(dataset) ? dataset : []).filter(
+    (d) => d?.[xField] != null && String(d[xField]).trim() !== '' && Number.isFinite(Number(d[yField])),
+  );
+  if (rows.length === 0) return null;
+
+  const seriesOf = (d) => (d[seriesField] == null || String(d[seriesField]).trim() === '' ? null : String(d[seriesField]));
+  const seriesNames = [...new Set(rows.map(seriesOf))];
+  const hasSeries = seriesNames.length > 1 || seriesNames[0] !== null;
+  const xValues = [...new Set(rows.map((d) => d[xField]))];
+  const numericX = xValues.every((x) => Number.isFinite(Number(x)));
+  if (numericX) xValues.sort((a, b) => Number(a) - Number(b));
+
+  const cell = new Map(rows.map((d) => [`${d[xField]}\u0000${seriesOf(d)}`, Number(d[yField])]));
+  const valueAt = (x, name) => cell.get(`${x}\u0000${name}`);
+  const format = kind === 'rank' ? (rank) => t('chart.rank', { rank }) : formatValue;
+
+  const columns = [xLabel, ...(hasSeries ? seriesNames : [valueLabel])];
+  const tableRows = xValues.map((x) => [
+    String(x),
+    ...seriesNames.map((name) => {
+      const value = valueAt(x, name);
+      return Number.isFinite(value) ? format(value) : '―';
+    }),
+  ]);
+
+  const first = xValues[0];
+  const last = xValues[xValues.length - 1];
+  const latest = seriesNames
+    .map((name) => ({ name, value: valueAt(last, name) }))
+    .filter((d) => Number.isFinite(d.value));
+
+  let summary;
+  if (kind === 'rank') {
+    const leader = latest.slice().sort((a, b) => a.value - b.value)[0];
+    summary = t('description.rank', { first, last, count: seriesNames.length, leader: leader?.name ?? '―' });
+  } else if (numericX && xValues.length > 1) {
+    const latestText = latest
+      .map((d) => (hasSeries ? `${d.name} ${formatValue(d.value)}` : formatValue(d.value)))
+      .join(t('common.listSeparator'));
+    summary = t(hasSeries ? 'description.trendSeries' : 'description.trend', {
+      first,
+      last,
+      count: seriesNames.length,
+      latest: latestText,
+    });
+  } else {
+    const totals = xValues.map((x) => ({
+      x,
+      total: seriesNames.reduce((sum, name) => sum + (valueAt(x, name) || 0), 0),
+    }));
+    const max = totals.slice().sort((a, b) => b.total - a.total)[0];
+    summary = t('description.comparison', { count: xValues.length, max: max.x, value: formatValue(max.total) });
+  }
+
+  return { summary, columns, rows: tableRows };
+}
+
+/**
+ * 構成比（pie）。rows は { label, value } の配列
+ */
+export function describeShares(items, { formatValue, labelHeader = t('description.item'), valueLabel = t('description.value') }) {
+  const valid = items.filter((d) => d.label != null && Number.isFinite(d.value));
+  if (valid.length === 0) return null;
+
+  const total = valid.reduce((sum, d) => sum + d.value, 0);
+  const percent = (v) => (total > 0 ? `${Math.round((v / total) * 1000) / 10}%` : '―');
+  const max = valid.slice().sort((a, b) => b.value - a.value)[0];
+
+  return {
+    summary: t('description.shares', { count: valid.length, max: max.label, percent: percent(max.value) }),
+    columns: [labelHeader, valueLabel, t('description.share')],
+    rows: valid.map((d) => [String(d.label), formatValue(d.value), percent(d.value)]),
+  };
+}
+
+/**
+ * フロー（sankey）。ノードのidと表示名、リンクの一覧から流れの表にする
+ */
+export function describeFlows(graph, { formatValue }) {
+  const links = (graph?.links || []).filter((l) => l.source && l.target && Number.isFinite(l.value));
+  if (links.length === 0) return null;
+
+  const labelOf = new Map((graph.nodes || []).map((n) => [n.id, n.label]));
+  const name = (id) => String(labelOf.get(id) ?? id);
+  const max = links.slice().sort((a, b) => b.value - a.value)[0];
+
+  return {
+    summary: t('description.flows', {
+      nodes: graph.nodes.length,
+      links: links.length,
+      source: name(max.source),
+      target: name(max.target),
+      value: formatValue(max.value),
+    }),
+    columns: [t('description.from'), t('description.to'), t('description.value')],
+    rows: links.map((l) => [name(l.source), name(l.target), formatValue(l.value)]),
+  };
+}
+
+/**
+ * 集合の重なり（venn）。sets は { sets: [...], size } の配列
+ */
+export function describeSets(vennData, { formatValue, intersectionLabel }) {
+  const areas = (vennData?.sets || []).filter(
+    (d) => Array.isArray(d?.sets) && d.sets.length >= 1 && Number.isFinite(Number(d.size)),
+  );
+  if (areas.length === 0) return null;
+
+  const setNames = [...new Set(areas.filter((d) => d.sets.length === 1).map((d) => String(d.sets[0])))];
+  // intersectionLabel は先頭2集合の重なりに付ける（チャートの表示と同じ）
+  const labeledKey = setNames.slice(0, 2).sort().join('&');
+  const joinSets = (sets) => sets.join(t('description.setSeparator'));
+  const labelOf = (d) => {
+    if (d.sets.length === 1) return String(d.sets[0]);
+    const key = d.sets.map(String).sort().join('&');
+    return intersectionLabel && key === labeledKey ? intersectionLabel : t('description.overlap', { sets: joinSets(d.sets) });
+  };
+  const overlap = areas.find((d) => d.sets.length > 1);
+
+  return {
+    summary: t('description.sets', { sets: joinSets(setNames) })
+      + (overlap ? t('description.setsValue', { label: labelOf(overlap), value: formatValue(Number(overlap.size)) }) : ''),
+    columns: [t('description.set'), t('description.value')],
+    rows: areas.map((d) => [labelOf(d), formatValue(Number(d.size))]),
+  };
+}
+
+/**
+ * KPI（大きな数値）。items は ChartLayer.resolveKpiItems の戻り値
+ */
+export function describeKpis(items) {
+  const valid = items.filter((d) => d.value != null);
+  if (valid.length === 0) return null;
+
+  return {
+    summary: valid
+      .map((d) => t(d.changeText ? 'description.kpiWithChange' : 'description.kpi', {
+        label: d.label,
+        value: d.formatValue(d.value),
+        change: d.changeText,
+      }))
+      .join(' '),
+    columns: [t('description.item'), t('description.value'), t('description.change')],
+    rows: valid.map((d) => [String(d.label), d.formatValue(d.value), d.changeText || '―']),
+  };
+}
@@ -0,0 +1,108 @@
+import { t } from './i18n.js';
+
+/**
+ * チャートの書き出し（SVG / PNG / CSV）。
+ * 表示中のSVGからパネル1枚分を切り出し、出典を書き込んだ単体のSVGにする。PNGはブラウザ内でラスタライズする
+ */
+// フォントは埋め込まず（外部のフォント配信に書き出す文字を送らない）、閲覧環境の和文フォントで代替できるよう並べる
+const FONT_FAMILY = '"Noto Sans JP", "Hiragino Sans", "Hiragino Kaku Gothic ProN", "Yu Gothic", Meiryo, sans-serif';
+const SOURCE_LINE_HEIGHT = 28;
+// style.css で指定しているスタイル（アノテーション）は書き出し先の要素に直接写す
+const INLINE_STYLE_SELECTOR = '.chart-annotations *';
+const INLINE_STYLE_PROPERTIES = ['fill', 'stroke', 'stroke-dasharray', 'stroke-opacity', 'font-size', 'font-weight'];
+// 書き出しに含めない要素（ツールチップ・フォーカス枠）
+const EXCLUDED_SELECTOR = '.chart-focus-ring, [class$="-tooltip"]';
+
+/**
+ * 出典（config.source。{ name, url } または配列）を1行の文字列にする
+ */
+export function formatSourceLine(source) {
+  const sources = (Array.isArray(source) ? source : [source]).filter((s) => s?.name || s?.url);
+  if (sources.length === 0) return '';
+  const names = sources.map((s) => (s.name && s.url ? t('common.sourceWithUrl', s) : s.name || s.url));
+  return `${t('common.sourcePrefix')}${names.join(t('common.listSeparator'))}`;
+}
+
+/**
+ * パネルの範囲（viewBox座標）を切り出した単体のSVGを作る。戻り値は { text, width, height }。
+ * sourceLine はパネルの下に書き込む
+ */
+export function buildPanelSvg(svgNode, bounds, { sourceLine = '' } = {}) {
+  const clone = svgNode.cloneNode(true);
+  inlineStyles(svgNode, clone);
+  clone.querySelectorAll(EXCLUDED_SELECTOR).forEach((el) => el.remove());
+
+  const footer = sourceLine ? SOURCE_LINE_HEIGHT : 0;
+  const width = Math.round(bounds.width);
+  const height = Math.round(bounds.height + footer);
+  ['role', 'aria-label', 'aria-describedby', 'class', 'style'].forEach((name) => clone.removeAttribute(name));
+  clone.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${width} ${height}`);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('font-family', FONT_FAMILY);
+
+  const ns = clone.namespaceURI;
+  const background = document.createElementNS(ns, 'rect');
+  background.setAttribute('x', bounds.x);
+  background.setAttribute('y', bounds.y);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  if (sourceLine) {
+    const text = document.createElementNS(ns, 'text');
+    text.setAttribute('x', bounds.x + 14);
+    text.setAttribute('y', bounds.y + bounds.height + 18);
+    text.setAttribute('fill', '#6b7280');
+    text.setAttribute('font-size', 12);
+    text.textContent = sourceLine;
+    clone.appendChild(text);
+  }
+
+  return { text: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+/**
+ * SVG文字列をPNGのBlobにする（scale倍の解像度）
+ */
+export function rasterizeSvg(svgText, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('SVG rasterization failed'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  });
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function inlineStyles(sourceSvg, cloneSvg) {
+  const sources = sourceSvg.querySelectorAll(INLINE_STYLE_SELECTOR);
+  const clones = cloneSvg.querySelectorAll(INLINE_STYLE_SELECTOR);
+  sources.forEach((source, i) => {
+    const computed = getComputedStyle(source);
+    const declarations = INLINE_STYLE_PROPERTIES
+      .map((property) => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`);
+    if (declarations.length > 0 && clones[i]) {
+      clones[i].setAttribute('style', `${declarations.join(';')};${clones[i].getAttribute('style') || ''}`);
+    }
+  });
+}
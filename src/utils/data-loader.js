@@ -0,0 +1,48 @@
+import * as d3 from 'd3';
+
+/**
+ * チャートのデータファイル（CSV / JSON）の読み込み。
+ * チャートと本文の数値トークンで共有し、同じファイルはページ内で1度だけ取得する
+ */
+const cache = new Map();
+
+/**
+ * dataFile（"/data/charts/…" またはサイト基準の相対パス）を取得先のURLにする
+ */
+export function resolveDataPath(dataFile) {
+  const stripped = dataFile.startsWith('/') ? dataFile.slice(1) : dataFile;
+  return `${import.meta.env.BASE_URL}${stripped}`;
+}
+
+export function detectFormatFromPath(path) {
+  if (path.endsWith('.json')) return 'json';
+  if (path.endsWith('.csv')) return 'csv';
+  throw new Error(`Cannot detect data format from path: ${path}`);
+}
+
+/**
+ * { dataFile, dataFormat } のデータを読み込む。CSVは d3.autoType で数値に変換する
+ */
+export async function loadDataset({ dataFile, dataFormat = 'auto' }) {
+  const resolvedPath = resolveDataPath(dataFile);
+  const requested = String(dataFormat || 'auto').toLowerCase();
+  const format = requested === 'auto' ? detectFormatFromPath(resolvedPath) : requested;
+
+  const cacheKey = `${format}:${resolvedPath}`;
+  if (!cache.has(cacheKey)) {
+    let request;
+    if (format === 'json') {
+      request = d3.json(resolvedPath);
+    } else if (format === 'csv') {
+      request = d3.csv(resolvedPath, d3.autoType);
+    } else {
+      throw new Error(`Unsupported data format: ${format}`);
+    }
+    // 失敗した読み込みは次の呼び出しで再取得できるようにする
+    cache.set(cacheKey, request.catch((error) => {
+      cache.delete(cacheKey);
+      throw error;
+    }));
+  }
+  return cache.get(cacheKey);
+}
@@ -0,0 +1,65 @@
+/**
+ * 本文の数値トークン（{{data:<ファイル> | 列=値 | … }}）の解析と値の算出。
+ * 例: {{data:aids/trend_new_infections_normalized.csv | series=世界 | year=latest | format=ja-unit}}
+ */
+export const DATA_TOKEN_PATTERN = /\{\{\s*data:([^}]*)\}\}/g;
+
+// 絞り込みではなく出力を指定するキー
+const OUTPUT_KEYS = ['field', 'format', 'unit'];
+// 列の最大・最小の行を選ぶ値（year=latest 等）
+const EXTREMUM_VALUES = { latest: 'max', earliest: 'min' };
+const DEFAULT_DATA_DIR = 'data/charts/';
+
+/**
+ * トークンの中身（"data:" の後ろ）を { dataFile, field, format, unit, filters } にする。
+ * ファイルは "/" 始まりならサイト基準、それ以外は data/charts/ からの相対パス
+ */
+export function parseDataToken(body) {
+  const [file, ...options] = String(body).split('|').map((part) => part.trim());
+  const token = { dataFile: '', field: 'value', format: undefined, unit: undefined, filters: [] };
+  if (!file) return token;
+
+  token.dataFile = file.startsWith('/') ? file : `${DEFAULT_DATA_DIR}${file}`;
+  options.forEach((option) => {
+    const separator = option.indexOf('=');
+    if (separator <= 0) return;
+    const key = option.slice(0, separator).trim();
+    const value = option.slice(separator + 1).trim();
+    if (OUTPUT_KEYS.includes(key)) {
+      token[key] = value;
+    } else {
+      token.filters.push({ key, value });
+    }
+  });
+  return token;
+}
+
+/**
+ * 行の配列からトークンの値を求める。絞り込んだ行が複数あれば field の合計。
+ * 該当する行がない場合は null
+ */
+export function resolveDataTokenValue(rows, token) {
+  if (!Array.isArray(rows)) return null;
+
+  const exact = token.filters.filter(({ value }) => !EXTREMUM_VALUES[value]);
+  const extremes = token.filters.filter(({ value }) => EXTREMUM_VALUES[value]);
+
+  let matched = rows.filter((row) => exact.every(({ key, value }) => String(row?.[key] ?? '').trim() === value));
+  extremes.forEach(({ key, value }) => {
+    const candidates = matched.map((row) => Number(row[key])).filter(Number.isFinite);
+    if (candidates.length === 0) {
+      matched = [];
+      return;
+    }
+    const target = extremum(candidates, EXTREMUM_VALUES[value]);
+    matched = matched.filter((row) => Number(row[key]) === target);
+  });
+
+  const values = matched.map((row) => Number(row[token.field])).filter(Number.isFinite);
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+function extremum(values, kind) {
+  return kind === 'max' ? Math.max(...values) : Math.min(...values);
+}
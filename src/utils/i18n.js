@@ -0,0 +1,162 @@
+import ja from '../locales/ja.json';
+import en from '../locales/en.json';
+
+/**
+ * 表示言語の管理とUI文言のカタログ（src/locales/<lang>.json）。
+ * 言語は URLの ?lang= → 言語切り替えで選んだ言語（localStorage） → 日本語 の順に決める
+ */
+export const DEFAULT_LOCALE = 'ja';
+const CATALOGS = { ja, en };
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+// 切り替えボタンの表示名（各言語での自称）
+const LOCALE_NAMES = { ja: '日本語', en: 'English' };
+const STORAGE_KEY = 'jcie-lang';
+const QUERY_KEY = 'lang';
+
+let currentLocale = null;
+// このページで選べる言語（記事ページでは本文を用意している言語だけ）
+let availableLocales = SUPPORTED_LOCALES;
+
+/**
+ * 現在の表示言語
+ */
+export function getLocale() {
+  if (!currentLocale) {
+    currentLocale = [readQueryLocale(), readStoredLocale()].find(isAvailableLocale) || DEFAULT_LOCALE;
+  }
+  return currentLocale;
+}
+
+/**
+ * このページで選べる言語を locales（と日本語）に絞る。最初の t() より前に呼ぶ。
+ * 選んだ言語の本文が無いページは日本語で表示するが、保存した選択はそのまま残す
+ */
+export function setAvailableLocales(locales) {
+  availableLocales = SUPPORTED_LOCALES.filter((code) => code === DEFAULT_LOCALE || locales.includes(code));
+  currentLocale = null;
+}
+
+/**
+ * カタログの文言を返す。{name} は params の値で置き換える。
+ * 現在の言語に無いキーは日本語にフォールバックする
+ */
+export function t(key, params = {}) {
+  const template = CATALOGS[getLocale()]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (template == null) {
+    console.warn(`[i18n] Missing message: ${key}`);
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+/**
+ * 言語ごとの値（{ "ja": "…", "en": "…" }）を現在の言語の値にする。それ以外の値はそのまま返す
+ */
+export function localize(value, locale = getLocale()) {
+  if (!isTranslationMap(value)) return value;
+  return value[locale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+}
+
+/**
+ * 設定全体をたどり、言語ごとの値をすべて現在の言語の値に置き換えた複製を返す
+ */
+export function localizeConfig(value, locale = getLocale()) {
+  if (Array.isArray(value)) return value.map((item) => localizeConfig(item, locale));
+  if (isTranslationMap(value)) return localizeConfig(localize(value, locale), locale);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localizeConfig(item, locale)]));
+  }
+  return value;
+}
+
+/**
+ * 言語を指定したURL。現在のパス・Step（#ハッシュ）を保ったまま ?lang= だけを差し替える
+ */
+export function localeUrl(locale, href = window.location.href) {
+  const url = new URL(href, window.location.href);
+  if (locale === DEFAULT_LOCALE) {
+    url.searchParams.delete(QUERY_KEY);
+  } else {
+    url.searchParams.set(QUERY_KEY, locale);
+  }
+  return url.toString();
+}
+
+/**
+ * 言語を切り替える。選択を保存し、同じ位置のままページを読み込み直す
+ */
+export function switchLocale(locale) {
+  if (!isAvailableLocale(locale)) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (_e) { /* ストレージが使えない環境では ?lang= だけで引き継ぐ */ }
+  window.location.assign(localeUrl(locale));
+}
+
+/**
+ * <html lang> と文書タイトルを現在の言語に合わせる
+ */
+export function applyDocumentLocale(title) {
+  document.documentElement.lang = getLocale();
+  if (title) document.title = title;
+}
+
+/**
+ * 言語切り替え（現在の言語に aria-current を付けたリンクの組）のHTML。bindLocaleSwitch で動作を付ける。
+ * 選べる言語が1つだけのページでは空文字列
+ */
+export function renderLocaleSwitch() {
+  if (availableLocales.length < 2) return '';
+  const links = availableLocales.map((code) => {
+    const current = code === getLocale() ? ' aria-current="true"' : '';
+    return `<a href="${localeUrl(code)}" class="locale-switch-link" data-locale="${code}" lang="${code}" hreflang="${code}"${current}>${LOCALE_NAMES[code]}</a>`;
+  }).join('');
+  return `<div class="locale-switch" role="group" aria-label="${t('nav.language')}">${links}</div>`;
+}
+
+/**
+ * 言語切り替えリンクのクリックで switchLocale する（押した時点のStepを引き継ぐため、hrefは使わない）
+ */
+export function bindLocaleSwitch(container) {
+  container?.querySelectorAll('.locale-switch-link').forEach((link) => {
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      if (link.dataset.locale !== getLocale()) switchLocale(link.dataset.locale);
+    });
+  });
+}
+
+function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale);
+}
+
+function isAvailableLocale(locale) {
+  return availableLocales.includes(locale);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// キーがすべて言語コードのオブジェクトを「言語ごとの値」とみなす
+function isTranslationMap(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(isSupportedLocale);
+}
+
+function readQueryLocale() {
+  try {
+    return new URLSearchParams(window.location.search).get(QUERY_KEY);
+  } catch (_e) {
+    return null;
+  }
+}
+
+function readStoredLocale() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (_e) {
+    return null;
+  }
+}
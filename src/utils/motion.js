@@ -0,0 +1,98 @@
+/**
+ * 動きの抑制（prefers-reduced-motion）の一元管理。
+ * OSの設定に従い、ヘッダー等のトグルで選んだ場合はその選択（localStorage）を優先する
+ */
+const STORAGE_KEY = 'jcie-reduced-motion';
+const REDUCED_CLASS = 'reduce-motion';
+
+const mediaQuery = typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : null;
+const listeners = new Set();
+// localStorage が使えない環境向けに、ページ内での選択を保持する
+let sessionPreference = null;
+// suspendMotion の呼び出し数（0より大きい間はトランジションを止める）
+let suspendCount = 0;
+
+/**
+ * 動きを抑えるべきか
+ */
+export function isReducedMotion() {
+  const stored = readStoredPreference();
+  if (stored !== null) return stored;
+  return Boolean(mediaQuery?.matches);
+}
+
+/**
+ * ユーザーの選択を保存する。null でOSの設定に従う状態に戻す
+ */
+export function setReducedMotion(reduced) {
+  try {
+    if (reduced === null) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, reduced ? 'reduce' : 'full');
+    }
+  } catch (_e) { /* ストレージが使えない環境ではこのページ内だけ反映 */ }
+  sessionPreference = reduced;
+  notify();
+}
+
+/**
+ * 設定の変化を購読する。戻り値で解除する
+ */
+export function onMotionChange(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * トランジションの長さ（ms）。動きを抑える場合・一時停止中は 0
+ */
+export function motionDuration(ms) {
+  return isReducedMotion() || suspendCount > 0 ? 0 : ms;
+}
+
+/**
+ * 設定に関わらず、解除するまでトランジションの長さを 0 にする。
+ * リサイズ時の再レイアウトで登場アニメーションを再生しないために使う。戻り値で解除する
+ */
+export function suspendMotion() {
+  suspendCount += 1;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    suspendCount -= 1;
+  };
+}
+
+/**
+ * 「動きを減らす」トグルボタン（aria-pressed）を設定と同期させる。戻り値で解除する
+ */
+export function bindMotionToggle(button) {
+  const sync = (reduced) => button.setAttribute('aria-pressed', String(reduced));
+  sync(isReducedMotion());
+  button.addEventListener('click', () => setReducedMotion(!isReducedMotion()));
+  return onMotionChange(sync);
+}
+
+function readStoredPreference() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    if (value === 'reduce') return true;
+    if (value === 'full') return false;
+  } catch (_e) { /* fall through */ }
+  return sessionPreference;
+}
+
+function notify() {
+  const reduced = isReducedMotion();
+  document.documentElement.classList.toggle(REDUCED_CLASS, reduced);
+  listeners.forEach((callback) => callback(reduced));
+}
+
+if (typeof document !== 'undefined') {
+  document.documentElement.classList.toggle(REDUCED_CLASS, isReducedMotion());
+  mediaQuery?.addEventListener?.('change', notify);
+}
@@ -0,0 +1,82 @@
+import * as d3 from 'd3';
+
+// 日本語の大きな数の単位（大きい順）
+const JA_UNITS = [
+  { value: 1e12, suffix: '兆' },
+  { value: 1e8, suffix: '億' },
+  { value: 1e4, suffix: '万' },
+];
+
+const DEFAULT_SPECIFIER = ',';
+
+/**
+ * 万・億・兆で丸めた表記に変換する（例: 800000000 → "8億"）
+ */
+export function formatJaUnit(value, digits = 2) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return '';
+  const abs = Math.abs(numeric);
+  const sign = numeric < 0 ? '-' : '';
+  const body = d3.format(`,.${digits}~f`);
+  // 丸めた後の値で単位を選ぶ（先に選ぶと 99999999 が "10,000万" になる）
+  const unit = JA_UNITS.find((u) => Number((abs / u.value).toFixed(digits)) >= 1);
+  if (!unit) return `${sign}${body(abs)}`;
+  return `${sign}${body(abs / unit.value)}${unit.suffix}`;
+}
+
+function resolveBaseFormatter(format) {
+  if (format === 'ja-unit' || format === 'currency-jpy') {
+    return (v) => formatJaUnit(v);
+  }
+  if (format === 'percent') {
+    // 値はパーセント値（12.5 → "12.5%"）として扱う。比率の場合は d3 指定子 ".0%" を使う
+    const body = d3.format(',.1~f');
+    return (v) => `${body(v)}%`;
+  }
+  if (typeof format === 'string' && format.trim()) {
+    try {
+      return d3.format(format.trim());
+    } catch {
+      console.warn(`[ChartLayer] 不正な数値フォーマット指定: ${format}`);
+    }
+  }
+  return d3.format(DEFAULT_SPECIFIER);
+}
+
+/** config.format / config.unit が指定されているか */
+export function hasNumberFormat(config = {}) {
+  return Boolean(config?.format || config?.unit);
+}
+
+/**
+ * config.format（"ja-unit" | "percent" | "currency-jpy" | d3指定子）と
+ * config.unit（単位サフィックス）から数値フォーマッタを生成する
+ */
+export function createNumberFormatter(config = {}) {
+  const format = config?.format;
+  const unit = config?.unit != null ? String(config.unit) : (format === 'currency-jpy' ? '円' : '');
+  const base = resolveBaseFormatter(format);
+  return (value) => {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return '';
+    return `${base(numeric)}${unit}`;
+  };
+}
+
+/**
+ * 軸目盛り用フォーマッタ。未指定時は null を返し d3 の既定表記に任せる
+ */
+export function createAxisTickFormat(config = {}) {
+  if (!hasNumberFormat(config)) return null;
+  return createNumberFormatter(config);
+}
+
+/**
+ * カウントアップ用の補間関数（t: 0..1 → from〜to）。途中の値は to と同じ小数桁に丸め、桁がちらつかないようにする
+ */
+export function interpolateCountUp(to, from = 0) {
+  const decimals = (String(to).split('.')[1] || '').length;
+  const scale = 10 ** decimals;
+  const interpolate = d3.interpolateNumber(from, to);
+  return (t) => Math.round(interpolate(t) * scale) / scale;
+}
@@ -0,0 +1,59 @@
+import { sankey, sankeyCenter, sankeyJustify, sankeyLeft, sankeyRight } from 'd3-sankey';
+
+/**
+ * サンキー・ダイアグラムのレイアウト計算（d3-sankey）。設定の nodeAlign / nodeSort を d3-sankey の指定に対応させ、
+ * 描けないリンク（未知のノード・自己ループ・0以下の値）とリンクのないノードを除いてから計算する
+ */
+const SANKEY_ALIGNS = {
+  left: sankeyLeft,
+  right: sankeyRight,
+  justify: sankeyJustify,
+  center: sankeyCenter,
+};
+// auto: 位置の調整のたびに上下を並べ替える（undefined）/ input: データの順を保つ（null）/ value: 値の大きい順
+const SANKEY_NODE_SORTS = {
+  auto: undefined,
+  input: null,
+  value: (a, b) => b.value - a.value,
+};
+
+/**
+ * graph: { nodes: [{ id, ... }], links: [{ source, target, value }] }（source / target はノードのid）。
+ * 戻り値の nodes には layer / value / x0 / x1 / y0 / y1 / sourceLinks / targetLinks、
+ * links には source / target（ノード）/ width / y0 / y1 を付け、columns は列ごとのノード。循環するリンクがあれば例外
+ */
+export function computeSankeyLayout(graph, {
+  width,
+  height,
+  nodeWidth = 12,
+  nodePadding = 12,
+  align = 'left',
+  nodeSort = 'auto',
+  iterations = 6,
+} = {}) {
+  const nodeIds = new Set(graph.nodes.map((node) => node.id));
+  const links = graph.links
+    .map((link) => ({ ...link, value: Number(link.value) }))
+    .filter((link) => nodeIds.has(link.source) && nodeIds.has(link.target) && link.source !== link.target
+      && Number.isFinite(link.value) && link.value > 0);
+  // リンクのないノードは描かない
+  const linkedIds = new Set(links.flatMap((link) => [link.source, link.target]));
+  const nodes = graph.nodes.filter((node) => linkedIds.has(node.id)).map((node) => ({ ...node }));
+  if (links.length === 0) return { nodes: [], links: [], columns: [] };
+
+  const layout = sankey()
+    .nodeId((node) => node.id)
+    .nodeAlign(Object.hasOwn(SANKEY_ALIGNS, align) ? SANKEY_ALIGNS[align] : sankeyLeft)
+    .nodeSort(Object.hasOwn(SANKEY_NODE_SORTS, nodeSort) ? SANKEY_NODE_SORTS[nodeSort] : undefined)
+    .nodeWidth(nodeWidth)
+    .nodePadding(nodePadding)
+    .iterations(iterations)
+    .size([width, height])({ nodes, links });
+
+  const columnCount = Math.max(...layout.nodes.map((node) => node.layer), -1) + 1;
+  const columns = Array.from({ length: columnCount }, () => []);
+  layout.nodes.forEach((node) => columns[node.layer].push(node));
+  columns.forEach((column) => column.sort((a, b) => a.y0 - b.y0));
+
+  return { nodes: layout.nodes, links: layout.links, columns };
+}
@@ -0,0 +1,122 @@
+/**
+ * JSON Schema（draft-07）のサブセットによる検証。
+ * 対応キーワード: type / enum / required / properties / items / minItems / maxItems /
+ * minimum / maximum / anyOf / $ref（同一スキーマ内の #/definitions/...）
+ *
+ * 戻り値は { path, message, level } の配列。path は `steps[12].chart.charts[0].dataFile` 形式
+ */
+export function validateSchema(schema, value, path = '') {
+  const issues = [];
+  visit(schema, value, path, schema, issues);
+  return issues;
+}
+
+/**
+ * パスの連結（配列は `[i]`、オブジェクトは `.key`）
+ */
+export function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function visit(schema, value, path, root, issues) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.$ref) {
+    visit(resolveRef(root, schema.$ref), value, path, root, issues);
+    return;
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = schema.anyOf.some((branch) => validateBranch(branch, value, path, root).length === 0);
+    if (!matched) {
+      issues.push(issue(path, `${label(path)} の形式が不正です`));
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const expected = [].concat(schema.type).join(' / ');
+    issues.push(issue(path, `${label(path)} の型が不正です（期待: ${expected}、実際: ${typeOf(value)}）`));
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    issues.push(issue(path, `${label(path)} の値 ${JSON.stringify(value)} は使用できません（使用可: ${schema.enum.join(' / ')}）`));
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      issues.push(issue(path, `${label(path)} は ${schema.minimum} 以上にしてください（現在: ${value}）`));
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      issues.push(issue(path, `${label(path)} は ${schema.maximum} 以下にしてください（現在: ${value}）`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      issues.push(issue(path, `${label(path)} の要素数が不足しています（${schema.minItems}個以上、現在: ${value.length}個）`));
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      issues.push(issue(path, `${label(path)} の要素数が多すぎます（${schema.maxItems}個以下、現在: ${value.length}個）`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => visit(schema.items, item, joinPath(path, index), root, issues));
+    }
+    return;
+  }
+
+  if (value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        issues.push(issue(joinPath(path, key), `${joinPath(path, key)} が未指定です`));
+      }
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        visit(childSchema, value[key], joinPath(path, key), root, issues);
+      }
+    }
+  }
+}
+
+function validateBranch(schema, value, path, root) {
+  const issues = [];
+  visit(schema, value, path, root, issues);
+  return issues;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) return null;
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : null), root);
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some((t) => {
+    if (t === 'integer') return Number.isInteger(value);
+    if (t === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (t === 'array') return Array.isArray(value);
+    if (t === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (t === 'null') return value === null;
+    return typeof value === t;
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function label(path) {
+  return path || '（ルート）';
+}
+
+function issue(path, message) {
+  return { path, message, level: 'error' };
+}
@@ -1,24 +1,25 @@
+// locales: 本文（config/<disease>/）を用意している言語。日本語以外は config/<disease>/<lang>/ に翻訳版を置く
 export const DISEASE_THEMES = {
   aids: {
     id: 'aids',
-    name: 'エイズとの闘い',
     primary: '#da3244',
     secondary: '#e45a6a',
     accent: '#c22a3b',
+    locales: ['ja'],
   },
   tuberculosis: {
     id: 'tuberculosis',
-    name: '結核との闘い',
     primary: '#354cf0',
     secondary: '#5a6ef4',
     accent: '#2a3ed0',
+    locales: ['ja', 'en'],
   },
   malariae: {
     id: 'malariae',
-    name: 'マラリアとの闘い',
     primary: '#f2df4a',
     secondary: '#f5e76e',
     accent: '#d9c83e',
+    locales: ['ja'],
   },
 };
 
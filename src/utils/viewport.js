@@ -0,0 +1,32 @@
+/**
+ * 画面サイズ・向きの変化の監視と、コンテナに合わせたSVGのviewBox幅の算出
+ */
+const RESIZE_DEBOUNCE_MS = 200;
+
+/**
+ * リサイズ・画面の回転を間引いて通知する（連続した変化が落ち着いてから1回）。戻り値で解除する
+ */
+export function onViewportResize(callback, wait = RESIZE_DEBOUNCE_MS) {
+  let timer = null;
+  const handler = () => {
+    clearTimeout(timer);
+    timer = setTimeout(callback, wait);
+  };
+  window.addEventListener('resize', handler);
+  window.addEventListener('orientationchange', handler);
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('resize', handler);
+    window.removeEventListener('orientationchange', handler);
+  };
+}
+
+/**
+ * 高さを固定したviewBoxの幅を、コンテナの縦横比に合わせて求める（左右のレターボックスを除くため）。
+ * コンテナが非表示で大きさが取れない場合は null
+ */
+export function resolveViewBoxWidth(container, viewBoxHeight) {
+  const rect = container?.getBoundingClientRect();
+  if (!rect?.width || !rect?.height) return null;
+  return Math.round(viewBoxHeight * (rect.width / rect.height));
+}